@@ -1,6 +1,10 @@
 'use strict';
 
 module.exports = exports = {
+  configValidator: require('./src/configValidator.js'),
   DatabaseConnection: require('./src/DatabaseConnection.js'),
-  databaseUtil: require('./src/databaseUtil.js')
+  databaseUtil: require('./src/databaseUtil.js'),
+  errors: require('./src/errors.js'),
+  logging: require('./src/logging.js'),
+  typeGenerator: require('./src/typeGenerator.js')
 };
\ No newline at end of file
@@ -0,0 +1,396 @@
+'use strict';
+var _ = require('lodash');
+var sprintf = require('sprintf-js').sprintf;
+
+
+
+/**
+ * *NOTE:* Outside callers should use `DatabaseConnection.newKeysetPaginator()`
+ * instead of this constructor.
+ *
+ * @class
+ * @classdesc `KeysetPaginator` objects page through the results of a Squel
+ *    select query using keyset pagination. Instead of skipping rows with
+ *    `OFFSET`, each page is found by filtering on the ordering columns of the
+ *    row at the edge of the previous page, so later pages are as fast as the
+ *    first one.
+ *
+ * @param {DatabaseConnection} dbc
+ *
+ * @param {Array<String|KeysetPaginator~OrderColumn>} orderColumns
+ *    The columns to order the results by, from most to least significant.
+ *    Together, they must uniquely identify a row, so the last column should
+ *    normally be the primary key. A string is shorthand for an ascending
+ *    column.
+ *
+ * @param {KeysetPaginator~Options} options
+ */
+function KeysetPaginator(dbc, orderColumns, options) {
+  options = options || {};
+
+  this.__dbc = dbc;
+  this.__options = options;
+  this.__orderColumns = _.map(orderColumns, KeysetPaginator.__normalizeOrderColumn);
+
+  if (options.primaryKey && !_.some(this.__orderColumns, { column: options.primaryKey })) {
+    this.__orderColumns.push(KeysetPaginator.__normalizeOrderColumn(options.primaryKey));
+  }
+
+  if (this.__orderColumns.length === 0) {
+    throw new Error("Keyset pagination needs at least one column to order by.");
+  }
+}
+
+
+
+/**
+ * @typedef KeysetPaginator~OrderColumn
+ * @type Object
+ *
+ * @property {String} column
+ *    The column as it should appear in the `WHERE` and `ORDER BY` clauses,
+ *    such as `'u.created_at'`.
+ *
+ * @property {String} direction
+ *    `'asc'` (the default) or `'desc'`.
+ *
+ * @property {String} field
+ *    The key that holds the column's value in the rows returned by the query.
+ *    Defaults to the part of `column` after the last `.`, without quotes.
+ *
+ * @property {Boolean} nullable
+ *    Set this if the column can be `NULL`. `NULL`s are then paged through in
+ *    the order PostgreSQL sorts them by default: after every other value in
+ *    ascending order, and before them in descending order. Defaults to
+ *    `false`, in which case a `NULL` in the column makes `paginate()` reject,
+ *    since the rows holding it would otherwise be skipped. Leave it off for
+ *    columns that can't be `NULL`, since the extra conditions can keep an
+ *    index from being used.
+ */
+
+
+
+/**
+ * @typedef KeysetPaginator~Options
+ * @type Object
+ *
+ * @property {String} primaryKey
+ *    If given, and not already one of the order columns, this column is
+ *    ordered by last, in ascending order, to break ties between rows.
+ *
+ * @property {Boolean|Function} mapRowKeys
+ *    See `DatabaseConnection~QueryOptions`. Applies to the returned rows only;
+ *    `field` in each order column always refers to the unmapped row.
+ */
+
+
+
+/**
+ * @typedef KeysetPaginator~Page
+ * @type Object
+ *
+ * @property {Object[]} rows
+ *
+ * @property {String} nextCursor
+ *    Pass this in to `paginate()` to get the page after this one. `null` if
+ *    this is the last page.
+ *
+ * @property {String} prevCursor
+ *    Pass this in to `paginate()` to get the page before this one. `null` if
+ *    this is the first page.
+ */
+
+
+
+/**
+ * @private
+ * @param {String|KeysetPaginator~OrderColumn} orderColumn
+ * @returns {KeysetPaginator~OrderColumn}
+ */
+KeysetPaginator.__normalizeOrderColumn = function __normalizeOrderColumn(orderColumn) {
+  var direction;
+
+  if (_.isString(orderColumn)) {
+    orderColumn = { column: orderColumn };
+  }
+
+  direction = (orderColumn.direction || 'asc').toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new Error(sprintf("Invalid order direction for column %s: '%s'", orderColumn.column, orderColumn.direction));
+  }
+
+  return {
+    column: orderColumn.column,
+    direction: direction,
+    field: orderColumn.field || _.last(orderColumn.column.split('.')).replace(/"/g, ''),
+    nullable: !!orderColumn.nullable
+  };
+};
+
+
+
+/**
+ * Encodes a cursor as an opaque string that is safe to use in a URL.
+ *
+ * @private
+ *
+ * @param {String} direction
+ *    `'next'` or `'prev'`.
+ *
+ * @param {Array<Any>} values
+ *    The values of the order columns in the row at the edge of the page.
+ *
+ * @returns {String}
+ */
+KeysetPaginator.__encodeCursor = function __encodeCursor(direction, values) {
+  return Buffer.from(JSON.stringify({ d: direction, v: values }), 'utf8')
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+
+
+/**
+ * Reverse operation of `__encodeCursor()`.
+ *
+ * @private
+ * @param {String} cursor
+ * @returns {Object}
+ *    `direction` and `values`.
+ * @throws {Error} If `cursor` wasn't created by `__encodeCursor()`.
+ */
+KeysetPaginator.__decodeCursor = function __decodeCursor(cursor) {
+  var decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (!decoded || (decoded.d !== 'next' && decoded.d !== 'prev') || !_.isArray(decoded.v)) {
+    throw new Error("Invalid pagination cursor.");
+  }
+
+  return {
+    direction: decoded.d,
+    values: decoded.v
+  };
+};
+
+
+
+/**
+ * Builds the condition that selects the rows after (or before) the row with
+ * the given order column values. For columns `a ASC, b DESC` and the `'next'`
+ * direction, that is `(a > $1) OR (a = $2 AND b < $3)`.
+ *
+ * For nullable columns, `NULL` is treated as greater than every other value,
+ * as it is in PostgreSQL's default ordering. So `a > $1` becomes
+ * `(a > $1 OR a IS NULL)`, and comparisons against a `NULL` in the cursor
+ * become `a IS NULL`, `a IS NOT NULL` or are left out, as nothing is greater
+ * than `NULL`.
+ *
+ * @private
+ * @param {String} direction
+ * @param {Array<Any>} values
+ * @returns {Object}
+ *    `text` holds the condition, with `?` placeholders, and `values` holds
+ *    the matching arguments.
+ */
+KeysetPaginator.prototype.__buildCondition = function __buildCondition(direction, values) {
+  var orderColumns = this.__orderColumns,
+      disjuncts = [],
+      args = [];
+
+  _.forEach(orderColumns, function(orderColumn, i) {
+    var conjuncts = [],
+        conjunctArgs = [],
+        ascending = (orderColumn.direction === 'asc') === (direction === 'next'),
+        value = values[i];
+
+    _.forEach(_.take(orderColumns, i), function(prevColumn, j) {
+      if (prevColumn.nullable && values[j] === null) {
+        conjuncts.push(sprintf('%s IS NULL', prevColumn.column));
+      } else {
+        conjuncts.push(sprintf('%s = ?', prevColumn.column));
+        conjunctArgs.push(values[j]);
+      }
+    });
+
+    if (!orderColumn.nullable) {
+      conjuncts.push(sprintf('%s %s ?', orderColumn.column, ascending ? '>' : '<'));
+      conjunctArgs.push(value);
+    } else if (value === null) {
+      if (ascending) {
+        return;
+      }
+      conjuncts.push(sprintf('%s IS NOT NULL', orderColumn.column));
+    } else if (ascending) {
+      conjuncts.push(sprintf('(%s > ? OR %s IS NULL)', orderColumn.column, orderColumn.column));
+      conjunctArgs.push(value);
+    } else {
+      conjuncts.push(sprintf('%s < ?', orderColumn.column));
+      conjunctArgs.push(value);
+    }
+
+    disjuncts.push('(' + conjuncts.join(' AND ') + ')');
+    args.push.apply(args, conjunctArgs);
+  });
+
+  return {
+    text: disjuncts.length > 0 ? disjuncts.join(' OR ') : 'FALSE',
+    values: args
+  };
+};
+
+
+
+/**
+ * @private
+ * @param {Object[]} rawRows
+ *    The page's rows, with unmapped keys.
+ *
+ * @throws {Error} If a column that isn't `nullable` is `NULL` in any of the
+ *    rows.
+ */
+KeysetPaginator.prototype.__checkForNulls = function __checkForNulls(rawRows) {
+  _.forEach(this.__orderColumns, function(orderColumn) {
+    var hasNull = !orderColumn.nullable && _.some(rawRows, function(row) {
+          return _.isNil(row[orderColumn.field]);
+        });
+
+    if (hasNull) {
+      throw new Error(sprintf(
+        "Order column %s is NULL in a result row. Set its nullable option to page through NULLs.",
+        orderColumn.column));
+    }
+  });
+};
+
+
+
+/**
+ * @private
+ * @param {Object} row
+ * @returns {Array<Any>}
+ */
+KeysetPaginator.prototype.__getCursorValues = function __getCursorValues(row) {
+  return _.map(this.__orderColumns, function(orderColumn) {
+    return row[orderColumn.field];
+  });
+};
+
+
+
+/**
+ * Retrieves one page of results.
+ *
+ * Example:
+ * ```
+ * var paginator = dbc.newKeysetPaginator([{column: 'u.created_at', direction: 'desc'}, 'u.id']),
+ *     q = dbc.getSquelSelect().from('site_user', 'u').where('u.company_id = ?', 24);
+ *
+ * paginator.paginate(q, req.query.cursor, 50)
+ *   .then((page) => {
+ *     // page.rows, page.nextCursor, page.prevCursor
+ *   });
+ * ```
+ *
+ * @public
+ *
+ * @param {Squel} q
+ *    A Squel select query, without `ORDER BY` or `LIMIT` clauses. It is not
+ *    modified.
+ *
+ * @param {String} cursor
+ *    A cursor from a previous page, or `null` for the first page.
+ *
+ * @param {Number} limit
+ *    The maximum number of rows on the page.
+ *
+ * @param {PoolClient} client
+ *
+ * @returns {Promise<KeysetPaginator~Page>}
+ *    Rejects if an order column that isn't `nullable` is `NULL` in any of the
+ *    page's rows.
+ */
+KeysetPaginator.prototype.paginate = function paginate(q, cursor, limit, client) {
+  var self = this,
+      decoded = null,
+      backward,
+      pageQuery,
+      condition;
+
+  if (!_.isInteger(limit) || limit < 1) {
+    return Promise.reject(new Error("The page size must be a positive integer."));
+  }
+
+  if (cursor) {
+    try {
+      decoded = KeysetPaginator.__decodeCursor(cursor);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    if (decoded.values.length !== this.__orderColumns.length) {
+      return Promise.reject(new Error("Invalid pagination cursor."));
+    }
+  }
+
+  backward = !!decoded && decoded.direction === 'prev';
+  pageQuery = q.clone();
+
+  if (decoded) {
+    condition = this.__buildCondition(decoded.direction, decoded.values);
+    pageQuery.where.apply(pageQuery, [condition.text].concat(condition.values));
+  }
+
+  _.forEach(this.__orderColumns, function(orderColumn) {
+    pageQuery.order(orderColumn.column, (orderColumn.direction === 'asc') !== backward);
+  });
+
+  // One extra row tells us whether there is another page after this one.
+  pageQuery.limit(limit + 1);
+
+  return this.__dbc.squelQuery(pageQuery.toParam(), client)
+    .then(function(result) {
+      var rawRows = self.__dbc.turnQueryResultIntoRows(result, { mapRowKeys: false }),
+          rows = self.__dbc.turnQueryResultIntoRows(result, self.__options),
+          hasMore = rawRows.length > limit;
+
+      rawRows = _.take(rawRows, limit);
+      rows = _.take(rows, limit);
+
+      self.__checkForNulls(rawRows);
+
+      if (backward) {
+        rawRows.reverse();
+        rows.reverse();
+      }
+
+      if (rows.length === 0) {
+        return {
+          rows: rows,
+          nextCursor: null,
+          prevCursor: null
+        };
+      }
+
+      return {
+        rows: rows,
+        nextCursor: (backward || hasMore) ?
+          KeysetPaginator.__encodeCursor('next', self.__getCursorValues(_.last(rawRows))) :
+          null,
+        prevCursor: ((!backward && decoded) || (backward && hasMore)) ?
+          KeysetPaginator.__encodeCursor('prev', self.__getCursorValues(_.first(rawRows))) :
+          null
+      };
+    });
+};
+
+
+
+module.exports = exports = KeysetPaginator;
\ No newline at end of file
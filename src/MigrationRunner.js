@@ -0,0 +1,691 @@
+'use strict';
+var _ = require('lodash');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var sprintf = require('sprintf-js').sprintf;
+var dbu = require('./databaseUtil.js');
+
+
+
+/**
+ * *NOTE:* Outside callers should use `DatabaseConnection.newMigrationRunner()`
+ * instead of this constructor.
+ *
+ * @class
+ * @classdesc `MigrationRunner` objects apply and roll back the schema
+ *    migrations in a directory, and keep track of which ones have been
+ *    applied in a table in the database.
+ *
+ *    A migration is either a pair of SQL files, named like
+ *    `20261019120000_add_contact_email.up.sql` and
+ *    `20261019120000_add_contact_email.down.sql`, or a single JS file, named
+ *    like `20261019120000_add_contact_email.js`, that exports `up` and `down`.
+ *    Each of those is a SQL string or a function that takes a client and the
+ *    `DatabaseConnection` and returns a Promise. The down migration is
+ *    optional, but migrations without one can't be rolled back.
+ *
+ *    Migrations run in order of the number at the start of the file name,
+ *    each in its own transaction. While migrating or rolling back, a
+ *    session-level advisory lock is held, so two deploys can't migrate the
+ *    same database at once.
+ *
+ * @param {DatabaseConnection} dbc
+ * @param {MigrationRunner~Options} options
+ */
+function MigrationRunner(dbc, options) {
+  options = options || {};
+
+  if (!options.directory) {
+    throw new Error("A migration directory must be given.");
+  }
+
+  this.__dbc = dbc;
+  this.__directory = options.directory;
+  this.__tableName = options.tableName || MigrationRunner.DEFAULT_TABLE_NAME;
+  this.__dryRun = !!options.dryRun;
+  this.__log = options.log || null;
+}
+
+
+
+/**
+ * @typedef MigrationRunner~Options
+ * @type Object
+ *
+ * @property {String} directory
+ *    The directory that holds the migration files.
+ *
+ * @property {String} tableName
+ *    The table that records the applied migrations. It is created if it
+ *    doesn't exist. Defaults to `MigrationRunner.DEFAULT_TABLE_NAME`.
+ *
+ * @property {Boolean} dryRun
+ *    Print the SQL of the migrations that would run instead of running them.
+ *    Nothing in the database is changed.
+ *
+ * @property {Function} log
+ *    Called with each line of SQL in dry-run mode. Defaults to logging the
+ *    lines at the `'info'` level through the connection's logger. See
+ *    `DatabaseConnection.setLogger()`.
+ */
+
+
+
+/**
+ * @typedef MigrationRunner~Migration
+ * @type Object
+ *
+ * @property {String} version
+ * @property {String} name
+ *
+ * @property {String} checksum
+ *    The SHA-256 hash of the up migration, or of the JS file.
+ *
+ * @property {String|Function} up
+ * @property {String|Function} down
+ *    `null` if the migration has no down migration.
+ */
+
+
+
+/**
+ * @typedef MigrationRunner~MigrationStatus
+ * @type Object
+ *
+ * @property {String} version
+ * @property {String} name
+ *
+ * @property {String} state
+ *    `'applied'`, `'pending'`, `'changed'` if the file has changed since it
+ *    was applied, or `'missing'` if it was applied but its file is gone.
+ *
+ * @property {Date} appliedAt
+ *    `null` if the migration hasn't been applied.
+ */
+
+
+
+/**
+ * @type {String}
+ */
+MigrationRunner.DEFAULT_TABLE_NAME = 'dbutil_migrations';
+
+
+
+/**
+ * Matches the names of migration files. The groups are the version, the
+ * name, and then either the direction of a SQL file or the `js` extension.
+ *
+ * @private
+ * @type {RegExp}
+ */
+MigrationRunner.__FILE_NAME_REGEX = /^(\d+)[_-](.+?)(?:\.(up|down)\.sql|\.(js))$/;
+
+
+
+/**
+ * Compares two versions numerically, without losing precision on long
+ * timestamp-style versions.
+ *
+ * @private
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+MigrationRunner.__compareVersions = function __compareVersions(a, b) {
+  a = a.replace(/^0+(?=\d)/, '');
+  b = b.replace(/^0+(?=\d)/, '');
+
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+
+
+/**
+ * @private
+ * @param {String|Buffer} contents
+ * @returns {String}
+ */
+MigrationRunner.__checksum = function __checksum(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+};
+
+
+
+/**
+ * @private
+ * @param {String} filename
+ * @returns {Promise<String>}
+ */
+MigrationRunner.__readFile = function __readFile(filename) {
+  return new Promise(function(resolve, reject) {
+    fs.readFile(filename, 'utf8', function(err, contents) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(contents);
+      }
+    });
+  });
+};
+
+
+
+/**
+ * Reads the migrations in the migration directory.
+ *
+ * @private
+ * @returns {Promise<MigrationRunner~Migration[]>}
+ *    The migrations, in the order they should be applied.
+ */
+MigrationRunner.prototype.__loadMigrations = function __loadMigrations() {
+  var directory = this.__directory;
+
+  return new Promise(function(resolve, reject) {
+    fs.readdir(directory, function(err, files) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(files);
+      }
+    });
+  })
+
+    .then(function(files) {
+      var migrations = {};
+
+      return Promise.all(files.map(function(file) {
+        var match = MigrationRunner.__FILE_NAME_REGEX.exec(file),
+            filename = path.join(directory, file),
+            version, migration;
+
+        if (!match) {
+          return null;
+        }
+
+        version = match[1];
+        migration = migrations[version] = migrations[version] || {
+          version: version,
+          name: match[2],
+          checksum: null,
+          up: null,
+          down: null,
+          files: []
+        };
+
+        migration.files.push(file);
+        if (migration.name !== match[2]) {
+          throw new Error(sprintf("Migration %s has files with different names: %s",
+            version, migration.files.join(', ')));
+        }
+
+        return MigrationRunner.__readFile(filename)
+          .then(function(contents) {
+            var jsMigration;
+
+            if (match[4]) {
+              jsMigration = require(path.resolve(filename));
+              migration.up = jsMigration.up || null;
+              migration.down = jsMigration.down || null;
+              migration.checksum = MigrationRunner.__checksum(contents);
+            } else if (match[3] === 'up') {
+              migration.up = contents;
+              migration.checksum = MigrationRunner.__checksum(contents);
+            } else {
+              migration.down = contents;
+            }
+          });
+      }))
+
+        .then(function() {
+          return _.values(migrations)
+            .map(function(migration) {
+              var hasJsFile = _.some(migration.files, function(file) {
+                return _.endsWith(file, '.js');
+              });
+
+              if (hasJsFile && migration.files.length > 1) {
+                throw new Error(sprintf("Migration %s has conflicting files: %s",
+                  migration.version, migration.files.join(', ')));
+              }
+
+              if (!migration.up) {
+                throw new Error(sprintf("Migration %s has no up migration.", migration.version));
+              }
+
+              return _.omit(migration, 'files');
+            })
+            .sort(function(a, b) {
+              return MigrationRunner.__compareVersions(a.version, b.version);
+            });
+        });
+    });
+};
+
+
+
+/**
+ * Returns the key of the advisory lock taken while migrating. It is derived
+ * from the name of the tracking table, so runners with different tables
+ * don't block each other.
+ *
+ * @private
+ * @returns {Number}
+ */
+MigrationRunner.prototype.__getLockKey = function __getLockKey() {
+  return crypto.createHash('sha256')
+    .update('dbutil_migrations:' + this.__tableName)
+    .digest()
+    .readInt32BE(0);
+};
+
+
+
+/**
+ * Runs a function with a client that holds the migration lock. The lock is
+ * released, and the client returned to the pool, once the function is done.
+ *
+ * @private
+ * @param {Function} fn
+ *    Called with the client. Must return a Promise.
+ *
+ * @returns {Promise<Any>}
+ *    Resolves to what `fn` resolves to.
+ */
+MigrationRunner.prototype.__withLock = function __withLock(fn) {
+  var dbc = this.__dbc,
+      lockKey = this.__getLockKey(),
+      client = null,
+      releaseErr;
+
+  return dbc.getClient()
+    .then(function(c) {
+      client = c;
+      return dbc.query('SELECT pg_advisory_lock($1)', [lockKey], client);
+    })
+
+    .then(function() {
+      return fn(client);
+    })
+
+    .then(function(result) {
+      return dbc.query('SELECT pg_advisory_unlock($1)', [lockKey], client)
+        .then(function() {
+          return result;
+        });
+    })
+
+    .catch(function(err) {
+      // Discarding the client also releases the lock if it is still held.
+      releaseErr = err;
+      throw err;
+    })
+
+    .finally(function() {
+      if (client) {
+        client.release(releaseErr);
+      }
+    });
+};
+
+
+
+/**
+ * @private
+ * @param {PoolClient} client
+ * @returns {Promise}
+ */
+MigrationRunner.prototype.__ensureTable = function __ensureTable(client) {
+  return this.__dbc.query(sprintf(
+    "CREATE TABLE IF NOT EXISTS %s ("
+      + "version TEXT PRIMARY KEY, "
+      + "name TEXT NOT NULL, "
+      + "checksum TEXT NOT NULL, "
+      + "applied_at TIMESTAMPTZ NOT NULL DEFAULT now())",
+    dbu.quoteIdentifier(this.__tableName)), [], client);
+};
+
+
+
+/**
+ * Retrieves the applied migrations from the tracking table. If the table
+ * doesn't exist yet, no migrations have been applied.
+ *
+ * @private
+ * @param {PoolClient} client
+ * @returns {Promise<Object[]>}
+ *    Rows with `version`, `name`, `checksum` and `appliedAt`, in the order
+ *    the migrations should be applied.
+ */
+MigrationRunner.prototype.__getAppliedMigrations = function __getAppliedMigrations(client) {
+  var dbc = this.__dbc,
+      quotedTableName = dbu.quoteIdentifier(this.__tableName);
+
+  return dbc.queryReturningOne('SELECT to_regclass($1) IS NOT NULL AS "exists"', [quotedTableName], client)
+    .then(function(row) {
+      if (!row.exists) {
+        return [];
+      }
+
+      return dbc.queryReturningMany(sprintf(
+        'SELECT version, name, checksum, applied_at AS "appliedAt" FROM %s', quotedTableName), [], client);
+    })
+
+    .then(function(rows) {
+      return rows.sort(function(a, b) {
+        return MigrationRunner.__compareVersions(a.version, b.version);
+      });
+    });
+};
+
+
+
+/**
+ * Prints a line of dry-run output.
+ *
+ * @private
+ * @param {String} message
+ */
+MigrationRunner.prototype.__print = function __print(message) {
+  if (this.__log) {
+    this.__log(message);
+  } else {
+    this.__dbc.__log(_.get(this.__dbc.__config, 'config'), 'info', message, {});
+  }
+};
+
+
+
+/**
+ * Runs one step of a migration, or prints it in dry-run mode.
+ *
+ * @private
+ * @param {PoolClient} client
+ * @param {MigrationRunner~Migration} migration
+ * @param {String} direction
+ *    `'up'` or `'down'`.
+ *
+ * @returns {Promise}
+ */
+MigrationRunner.prototype.__runStep = function __runStep(client, migration, direction) {
+  var step = migration[direction];
+
+  if (this.__dryRun) {
+    this.__print(sprintf('-- %s_%s (%s)', migration.version, migration.name, direction));
+    this.__print(_.isFunction(step) ? '-- JavaScript migration; SQL not shown.' : step);
+    return Promise.resolve();
+  }
+
+  if (_.isFunction(step)) {
+    return Promise.resolve(step(client, this.__dbc));
+  }
+
+  // Migrations can legitimately take a long time, so no query timeout applies.
+  return this.__dbc.query(step, [], client, { timeoutMs: 0 });
+};
+
+
+
+/**
+ * Applies or rolls back a migration in its own transaction, and records it in
+ * the tracking table.
+ *
+ * @private
+ * @param {PoolClient} client
+ * @param {MigrationRunner~Migration} migration
+ * @param {String} direction
+ * @returns {Promise}
+ */
+MigrationRunner.prototype.__runMigration = function __runMigration(client, migration, direction) {
+  var self = this,
+      dbc = this.__dbc,
+      quotedTableName = dbu.quoteIdentifier(this.__tableName);
+
+  if (this.__dryRun) {
+    return this.__runStep(client, migration, direction);
+  }
+
+  return dbc.withTransaction(function(client) {
+    return self.__runStep(client, migration, direction)
+      .then(function() {
+        if (direction === 'up') {
+          return dbc.query(sprintf('INSERT INTO %s (version, name, checksum) VALUES ($1, $2, $3)', quotedTableName),
+            [migration.version, migration.name, migration.checksum], client);
+        } else {
+          return dbc.query(sprintf('DELETE FROM %s WHERE version = $1', quotedTableName),
+            [migration.version], client);
+        }
+      });
+  }, { client: client });
+};
+
+
+
+/**
+ * Runs a function with a client, along with the migrations on disk and the
+ * applied migrations. Outside of dry-run mode, the client holds the migration
+ * lock and the tracking table is created first.
+ *
+ * @private
+ * @param {Function} fn
+ *    Called with the client, the migrations and the applied migrations.
+ *
+ * @returns {Promise<Any>}
+ */
+MigrationRunner.prototype.__withMigrations = function __withMigrations(fn) {
+  var self = this;
+
+  function run(client) {
+    return (self.__dryRun ? Promise.resolve() : self.__ensureTable(client))
+      .then(function() {
+        return Promise.all([self.__loadMigrations(), self.__getAppliedMigrations(client)]);
+      })
+      .then(function(results) {
+        return fn(client, results[0], results[1]);
+      });
+  }
+
+  if (this.__dryRun) {
+    return this.__dbc.getClient()
+      .then(function(client) {
+        return run(client)
+          .finally(function() {
+            client.release();
+          });
+      });
+  }
+
+  return this.__withLock(run);
+};
+
+
+
+/**
+ * Returns the state of every migration on disk or in the tracking table.
+ *
+ * @private
+ * @param {MigrationRunner~Migration[]} migrations
+ * @param {Object[]} appliedMigrations
+ * @returns {MigrationRunner~MigrationStatus[]}
+ */
+MigrationRunner.prototype.__buildStatus = function __buildStatus(migrations, appliedMigrations) {
+  var appliedByVersion = _.keyBy(appliedMigrations, 'version'),
+      statuses;
+
+  statuses = migrations.map(function(migration) {
+    var applied = appliedByVersion[migration.version],
+        state = 'pending';
+
+    if (applied) {
+      state = applied.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: state,
+      appliedAt: applied ? applied.appliedAt : null
+    };
+  });
+
+  _.forEach(appliedMigrations, function(applied) {
+    if (!_.some(migrations, { version: applied.version })) {
+      statuses.push({
+        version: applied.version,
+        name: applied.name,
+        state: 'missing',
+        appliedAt: applied.appliedAt
+      });
+    }
+  });
+
+  return statuses.sort(function(a, b) {
+    return MigrationRunner.__compareVersions(a.version, b.version);
+  });
+};
+
+
+
+/**
+ * Lists every migration and whether it has been applied.
+ *
+ * @public
+ * @returns {Promise<MigrationRunner~MigrationStatus[]>}
+ */
+MigrationRunner.prototype.status = function status() {
+  var self = this;
+
+  return this.__loadMigrations()
+    .then(function(migrations) {
+      return self.__dbc.getClient()
+        .then(function(client) {
+          return self.__getAppliedMigrations(client)
+            .finally(function() {
+              client.release();
+            });
+        })
+        .then(function(appliedMigrations) {
+          return self.__buildStatus(migrations, appliedMigrations);
+        });
+    });
+};
+
+
+
+/**
+ * Applies every pending migration, in order. Stops at the first migration
+ * that fails; the migrations before it stay applied.
+ *
+ * Refuses to run if an applied migration's file has changed, since the
+ * database may no longer match the migrations on disk.
+ *
+ * @public
+ *
+ * @param {Object} options
+ * @param {String} options.to
+ *    Stop after applying the migration with this version.
+ *
+ * @returns {Promise<Object[]>}
+ *    The `version` and `name` of each migration that was applied, or that
+ *    would have been in dry-run mode.
+ */
+MigrationRunner.prototype.migrate = function migrate(options) {
+  var self = this;
+
+  options = options || {};
+
+  return this.__withMigrations(function(client, migrations, appliedMigrations) {
+    var statuses = self.__buildStatus(migrations, appliedMigrations),
+        changed = _.filter(statuses, { state: 'changed' }),
+        pending;
+
+    if (changed.length > 0) {
+      throw new Error(sprintf("Applied migrations have changed since they were applied: %s",
+        _.map(changed, 'version').join(', ')));
+    }
+
+    pending = migrations.filter(function(migration) {
+      return _.find(statuses, { version: migration.version }).state === 'pending'
+        && (!options.to || MigrationRunner.__compareVersions(migration.version, options.to) <= 0);
+    });
+
+    return pending.reduce(function(p, migration) {
+      return p.then(function() {
+        return self.__runMigration(client, migration, 'up');
+      });
+    }, Promise.resolve())
+
+      .then(function() {
+        return pending.map(function(migration) {
+          return _.pick(migration, ['version', 'name']);
+        });
+      });
+  });
+};
+
+
+
+/**
+ * Rolls back the most recently applied migrations, newest first.
+ *
+ * Refuses to roll back a migration whose file has changed since it was
+ * applied, the same as `migrate()`.
+ *
+ * @public
+ *
+ * @param {Number} n
+ *    How many migrations to roll back. Defaults to 1.
+ *
+ * @returns {Promise<Object[]>}
+ *    The `version` and `name` of each migration that was rolled back, or
+ *    that would have been in dry-run mode.
+ */
+MigrationRunner.prototype.rollback = function rollback(n) {
+  var self = this;
+
+  n = _.isUndefined(n) ? 1 : n;
+
+  if (!_.isInteger(n) || n < 1) {
+    return Promise.reject(new Error("The number of migrations to roll back must be a positive integer."));
+  }
+
+  return this.__withMigrations(function(client, migrations, appliedMigrations) {
+    var migrationsByVersion = _.keyBy(migrations, 'version'),
+        toRollBack = _.takeRight(appliedMigrations, n).reverse();
+
+    _.forEach(toRollBack, function(applied) {
+      var migration = migrationsByVersion[applied.version];
+
+      if (!migration) {
+        throw new Error(sprintf("Can't roll back migration %s: its file is missing.", applied.version));
+      }
+      if (!migration.down) {
+        throw new Error(sprintf("Can't roll back migration %s: it has no down migration.", applied.version));
+      }
+      if (migration.checksum !== applied.checksum) {
+        throw new Error(sprintf("Can't roll back migration %s: it has changed since it was applied.", applied.version));
+      }
+    });
+
+    return toRollBack.reduce(function(p, applied) {
+      return p.then(function() {
+        return self.__runMigration(client, migrationsByVersion[applied.version], 'down');
+      });
+    }, Promise.resolve())
+
+      .then(function() {
+        return toRollBack.map(function(applied) {
+          return _.pick(applied, ['version', 'name']);
+        });
+      });
+  });
+};
+
+
+
+module.exports = exports = MigrationRunner;
\ No newline at end of file
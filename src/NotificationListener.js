@@ -0,0 +1,537 @@
+'use strict';
+var _ = require('lodash');
+var sprintf = require('sprintf-js').sprintf;
+
+
+
+/**
+ * *NOTE:* Outside callers should use `DatabaseConnection.listen()` instead
+ * of this constructor.
+ *
+ * @class
+ * @classdesc `NotificationListener` objects hold the dedicated client that
+ *    a `DatabaseConnection` uses to `LISTEN` for notifications. The client is
+ *    kept out of the pool, since a pool client that has run `LISTEN` could be
+ *    released and checked out for unrelated queries.
+ *
+ *    The client connects when the first channel is listened to, and is
+ *    disconnected once no channels are left. If the connection drops, it is
+ *    reconnected with exponential backoff, and every channel is listened to
+ *    again.
+ *
+ * @param {DatabaseConnection} dbc
+ *
+ * @param {Function} __PgClient
+ *    The `pg.Client` constructor.
+ *
+ * @param {NotificationListener~Options} options
+ */
+function NotificationListener(dbc, __PgClient, options) {
+  options = options || {};
+
+  this.__dbc = dbc;
+  this.__PgClient = __PgClient;
+  this.__baseDelayMillis = _.get(options, 'baseDelayMillis', NotificationListener.__DEFAULT_BASE_DELAY_MILLIS);
+  this.__maxDelayMillis = _.get(options, 'maxDelayMillis', NotificationListener.__DEFAULT_MAX_DELAY_MILLIS);
+  this.__handlers = new Map();
+  this.__client = null;
+  this.__connectPromise = null;
+  this.__reconnectTimer = null;
+  this.__reconnectAttempts = 0;
+  this.__disconnectedAt = null;
+  this.__closed = false;
+}
+
+
+
+/**
+ * @typedef NotificationListener~Options
+ * @type Object
+ *
+ * @property {Number} baseDelayMillis
+ *    The delay before the first reconnect attempt. Each further attempt
+ *    doubles it. Defaults to 500.
+ *
+ * @property {Number} maxDelayMillis
+ *    The upper bound for the delay between reconnect attempts. Defaults to
+ *    30000.
+ */
+
+/**
+ * Called with each notification on a channel that is listened to. Errors it
+ * throws are logged and otherwise ignored.
+ *
+ * @callback NotificationListener~fnHandler
+ *
+ * @param {Any} payload
+ *    The payload, decoded from JSON. A payload that isn't valid JSON, such as
+ *    one sent by a plain `NOTIFY` statement, is passed as it is. An empty
+ *    payload is `null`.
+ *
+ * @param {Object} notification
+ * @param {String} notification.channel
+ * @param {Number} notification.processId
+ *    The process ID of the server session that sent the notification.
+ */
+
+
+
+/**
+ * @private
+ * @type {Number}
+ */
+NotificationListener.__DEFAULT_BASE_DELAY_MILLIS = 500;
+
+
+
+/**
+ * @private
+ * @type {Number}
+ */
+NotificationListener.__DEFAULT_MAX_DELAY_MILLIS = 30000;
+
+
+
+/**
+ * Quotes a channel name for `LISTEN` and `UNLISTEN`. Unlike table names,
+ * channel names aren't split on dots.
+ *
+ * @private
+ * @param {String} channel
+ * @returns {String}
+ */
+NotificationListener.__quoteChannel = function __quoteChannel(channel) {
+  return '"' + channel.replace(/"/g, '""') + '"';
+};
+
+
+
+/**
+ * @private
+ * @param {Any} payload
+ * @returns {String}
+ */
+NotificationListener.__encodePayload = function __encodePayload(payload) {
+  return _.isUndefined(payload) ? '' : JSON.stringify(payload);
+};
+
+
+
+/**
+ * @private
+ * @param {String} payload
+ * @returns {Any}
+ */
+NotificationListener.__decodePayload = function __decodePayload(payload) {
+  if (!payload) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(payload);
+  } catch (err) {
+    return payload;
+  }
+};
+
+
+
+/**
+ * @private
+ * @param {String} level
+ * @param {String} message
+ * @param {Object} fields
+ */
+NotificationListener.prototype.__log = function __log(level, message, fields) {
+  this.__dbc.__log(_.get(this.__dbc.__config, 'config'), level, message, fields);
+};
+
+
+
+/**
+ * @private
+ * @param {String} eventName
+ * @param {Object} payload
+ */
+NotificationListener.prototype.__emit = function __emit(eventName, payload) {
+  this.__dbc.__emitSafely(_.get(this.__dbc.__config, 'config'), eventName, _.assign({
+    connection: this.__dbc.__name,
+    channels: Array.from(this.__handlers.keys())
+  }, payload));
+};
+
+
+
+/**
+ * Runs a query on the listening client.
+ *
+ * @private
+ * @param {pg.Client} client
+ * @param {String} queryString
+ * @returns {Promise}
+ */
+NotificationListener.prototype.__query = function __query(client, queryString) {
+  return new Promise(function(resolve, reject) {
+    client.query(queryString, [], function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+
+
+/**
+ * Calls the handlers of the notification's channel.
+ *
+ * @private
+ * @param {Object} msg
+ *    The notification, as given by `pg`.
+ */
+NotificationListener.prototype.__dispatch = function __dispatch(msg) {
+  var self = this,
+      handlers = this.__handlers.get(msg.channel),
+      payload = NotificationListener.__decodePayload(msg.payload);
+
+  _.forEach(handlers && Array.from(handlers), function(handler) {
+    try {
+      handler(payload, { channel: msg.channel, processId: msg.processId });
+    } catch (err) {
+      self.__log('warn', "Notification handler failed.", {
+        channel: msg.channel,
+        error: err.message,
+        stack: err.stack
+      });
+    }
+  });
+};
+
+
+
+/**
+ * Brings the channels a client listens to in line with `__handlers`, which
+ * may have changed while earlier `LISTEN`s were running. Repeats until
+ * nothing is left to change.
+ *
+ * @private
+ * @param {pg.Client} client
+ * @param {String[]} listened
+ *    The channels the client listens to.
+ * @returns {Promise}
+ */
+NotificationListener.prototype.__syncChannels = function __syncChannels(client, listened) {
+  var self = this,
+      channels = Array.from(this.__handlers.keys()),
+      added = _.difference(channels, listened),
+      removed = _.difference(listened, channels);
+
+  // Without any channels left, the client is about to be disconnected.
+  if (channels.length === 0 || (added.length === 0 && removed.length === 0)) {
+    return Promise.resolve();
+  }
+
+  return Promise.all(added.map(function(channel) {
+    return self.__query(client, 'LISTEN ' + NotificationListener.__quoteChannel(channel));
+  }).concat(removed.map(function(channel) {
+    return self.__query(client, 'UNLISTEN ' + NotificationListener.__quoteChannel(channel));
+  })))
+    .then(function() {
+      return self.__syncChannels(client, channels);
+    });
+};
+
+
+
+/**
+ * Connects a new client, and listens to every channel that has handlers.
+ * Calls made while connecting share the same promise.
+ *
+ * Handlers can be added and removed while connecting. If none are left once
+ * it is done, the client is disconnected again, and the promise resolves to
+ * `null`.
+ *
+ * @private
+ * @returns {Promise<pg.Client>}
+ */
+NotificationListener.prototype.__connect = function __connect() {
+  var self = this,
+      client;
+
+  if (this.__client) {
+    return Promise.resolve(this.__client);
+  }
+
+  if (this.__connectPromise) {
+    return this.__connectPromise;
+  }
+
+  client = new this.__PgClient(this.__dbc.__config.connection);
+
+  // Without an `error` listener, an error while connecting would be thrown.
+  client.on('error', function(err) {
+    self.__handleConnectionLost(client, err);
+  });
+  client.on('end', function() {
+    self.__handleConnectionLost(client, null);
+  });
+  client.on('notification', this.__dispatch.bind(this));
+
+  this.__connectPromise = new Promise(function(resolve, reject) {
+    client.connect(function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  })
+    .then(function() {
+      return self.__syncChannels(client, []);
+    })
+    .then(function() {
+      if (self.__closed) {
+        throw new Error(sprintf("Connection '%s' has been closed.", self.__dbc.__name));
+      }
+
+      if (self.__handlers.size === 0) {
+        client.removeAllListeners('end');
+        client.end();
+        return null;
+      }
+
+      self.__client = client;
+      return client;
+    })
+    .catch(function(err) {
+      client.removeAllListeners('end');
+      client.end();
+      throw err;
+    })
+    .finally(function() {
+      self.__connectPromise = null;
+    });
+
+  return this.__connectPromise;
+};
+
+
+
+/**
+ * Called when the listening client reports an error or disconnects. Clears
+ * the client, emits `listen:disconnect` and starts reconnecting.
+ *
+ * @private
+ * @param {pg.Client} client
+ * @param {Error} err
+ */
+NotificationListener.prototype.__handleConnectionLost = function __handleConnectionLost(client, err) {
+  if (client !== this.__client) {
+    return;
+  }
+
+  this.__client = null;
+  client.removeAllListeners('end');
+
+  if (err) {
+    client.end();
+  }
+
+  if (this.__closed || this.__handlers.size === 0) {
+    return;
+  }
+
+  this.__disconnectedAt = Date.now();
+  this.__log('warn', "Lost the connection used for notifications. Reconnecting.", {
+    error: err ? err.message : null
+  });
+  this.__emit('listen:disconnect', { error: err });
+  this.__scheduleReconnect();
+};
+
+
+
+/**
+ * Tries to reconnect after a delay, and tries again with a longer delay if
+ * it fails. Emits `listen:reconnect` once it succeeds.
+ *
+ * @private
+ */
+NotificationListener.prototype.__scheduleReconnect = function __scheduleReconnect() {
+  var self = this,
+      delayMillis;
+
+  this.__reconnectAttempts++;
+  delayMillis = this.__dbc.__getRetryDelay(this.__reconnectAttempts, this.__baseDelayMillis, this.__maxDelayMillis);
+
+  this.__reconnectTimer = setTimeout(function() {
+    self.__reconnectTimer = null;
+
+    if (self.__closed || self.__handlers.size === 0) {
+      self.__reconnectAttempts = 0;
+      return;
+    }
+
+    self.__connect()
+      .then(function(client) {
+        if (!client) {
+          self.__reconnectAttempts = 0;
+          return;
+        }
+
+        self.__log('info', "Reconnected the connection used for notifications.", {
+          attempts: self.__reconnectAttempts
+        });
+        self.__emit('listen:reconnect', {
+          attempts: self.__reconnectAttempts,
+          downtimeMs: Date.now() - self.__disconnectedAt
+        });
+        self.__reconnectAttempts = 0;
+      }, function(err) {
+        if (self.__closed) {
+          return;
+        }
+
+        self.__log('warn', "Failed to reconnect the connection used for notifications.", {
+          attempts: self.__reconnectAttempts,
+          error: err.message
+        });
+        self.__scheduleReconnect();
+      });
+  }, delayMillis);
+};
+
+
+
+/**
+ * Stops calling a handler. Once a channel has no handlers left, it is
+ * unlistened to, and once no channels are left, the client is disconnected.
+ *
+ * @private
+ * @param {String} channel
+ * @param {NotificationListener~fnHandler} handler
+ * @returns {Promise}
+ */
+NotificationListener.prototype.__removeHandler = function __removeHandler(channel, handler) {
+  var handlers = this.__handlers.get(channel),
+      client = this.__client;
+
+  if (!handlers || !handlers.delete(handler) || handlers.size > 0) {
+    return Promise.resolve();
+  }
+
+  this.__handlers.delete(channel);
+
+  if (!client) {
+    return Promise.resolve();
+  }
+
+  if (this.__handlers.size === 0) {
+    this.__client = null;
+    client.removeAllListeners('end');
+    client.end();
+    return Promise.resolve();
+  }
+
+  return this.__query(client, 'UNLISTEN ' + NotificationListener.__quoteChannel(channel));
+};
+
+
+
+/**
+ * Calls `handler` with each notification sent on `channel`. See
+ * `DatabaseConnection.listen()`.
+ *
+ * @public
+ * @param {String} channel
+ * @param {NotificationListener~fnHandler} handler
+ * @returns {Promise<Function>}
+ */
+NotificationListener.prototype.listen = function listen(channel, handler) {
+  var self = this,
+      handlers = this.__handlers.get(channel),
+      isNewChannel = !handlers,
+      unsubscribed = false,
+      unsubscribe;
+
+  if (!_.isString(channel) || channel.length === 0) {
+    return Promise.reject(new Error('The channel must be a non-empty string.'));
+  }
+
+  if (!_.isFunction(handler)) {
+    return Promise.reject(new Error('The handler must be a function.'));
+  }
+
+  if (this.__closed) {
+    return Promise.reject(new Error(sprintf("Connection '%s' has been closed.", this.__dbc.__name)));
+  }
+
+  if (isNewChannel) {
+    handlers = new Set();
+    this.__handlers.set(channel, handlers);
+  }
+
+  handlers.add(handler);
+
+  unsubscribe = function unsubscribe() {
+    if (unsubscribed) {
+      return Promise.resolve();
+    }
+
+    unsubscribed = true;
+    return self.__removeHandler(channel, handler);
+  };
+
+  // While reconnecting, the channel is listened to once the client is back.
+  if (!isNewChannel || this.__reconnectTimer) {
+    return Promise.resolve(unsubscribe);
+  }
+
+  return (this.__client ?
+    this.__query(this.__client, 'LISTEN ' + NotificationListener.__quoteChannel(channel)) :
+    this.__connect())
+    .then(function() {
+      return unsubscribe;
+    }, function(err) {
+      unsubscribed = true;
+      handlers.delete(handler);
+
+      if (handlers.size === 0 && self.__handlers.get(channel) === handlers) {
+        self.__handlers.delete(channel);
+      }
+
+      throw err;
+    });
+};
+
+
+
+/**
+ * Removes every handler, stops reconnecting and disconnects the client.
+ * Later calls to `listen()` are rejected.
+ *
+ * @public
+ * @returns {Promise}
+ */
+NotificationListener.prototype.close = function close() {
+  var client = this.__client;
+
+  this.__closed = true;
+  this.__handlers.clear();
+  this.__client = null;
+  clearTimeout(this.__reconnectTimer);
+  this.__reconnectTimer = null;
+
+  if (client) {
+    client.removeAllListeners('end');
+    client.end();
+  }
+
+  return Promise.resolve();
+};
+
+
+
+module.exports = exports = NotificationListener;
\ No newline at end of file
@@ -0,0 +1,390 @@
+'use strict';
+var _ = require('lodash');
+var sprintf = require('sprintf-js').sprintf;
+var dbu = require('./databaseUtil.js');
+
+
+
+/**
+ * *NOTE:* Outside callers should use `DatabaseConnection.defineTable()`
+ * instead of this constructor.
+ *
+ * @class
+ * @classdesc `TableGateway` objects run the standard create, read, update
+ *    and delete queries against a single table.
+ *
+ *    Rows are passed in and returned with JS-style keys, which are converted
+ *    to and from column names with `jsName2SqlName()` and `sqlName2JsName()`.
+ *    Every method takes an optional client as its last argument, so it can
+ *    be used inside a transaction.
+ *
+ * @param {DatabaseConnection} dbc
+ *
+ * @param {String} name
+ *    The table name, which can be schema-qualified.
+ *
+ * @param {TableGateway~Options} options
+ */
+function TableGateway(dbc, name, options) {
+  options = options || {};
+
+  this.__dbc = dbc;
+  this.__name = name;
+  this.__quotedName = dbu.quoteIdentifier(name);
+  this.__primaryKey = options.primaryKey || 'id';
+  this.__columns = options.columns ? _.uniq(options.columns.concat(this.__primaryKey)) : null;
+}
+
+
+
+/**
+ * @typedef TableGateway~Options
+ * @type Object
+ *
+ * @property {String} primaryKey
+ *    The JS-style name of the primary key column. Defaults to `'id'`.
+ *
+ * @property {String[]} columns
+ *    The JS-style names of the table's columns. If given, only these columns
+ *    are selected, and keys that aren't among them are rejected instead of
+ *    being sent to the database. Otherwise, every column is selected.
+ */
+
+
+
+/**
+ * @private
+ * @type {Object}
+ */
+TableGateway.__ROW_OPTIONS = { mapRowKeys: true };
+
+
+
+/**
+ * Converts a JS-style key to a quoted column name.
+ *
+ * @private
+ * @param {String} key
+ * @returns {String}
+ * @throws {Error} If the gateway has a list of columns and `key` isn't in it.
+ */
+TableGateway.prototype.__getColumn = function __getColumn(key) {
+  if (this.__columns && !_.includes(this.__columns, key)) {
+    throw new Error(sprintf("Unknown column for table %s: '%s'", this.__name, key));
+  }
+
+  return dbu.quoteIdentifier(dbu.jsName2SqlName(key));
+};
+
+
+
+/**
+ * Returns a select query on the table, with the gateway's columns.
+ *
+ * @private
+ * @returns {Squel}
+ */
+TableGateway.prototype.__newSelect = function __newSelect() {
+  var self = this,
+      q = this.__dbc.getSquelSelect().from(this.__quotedName);
+
+  _.forEach(this.__columns, function(key) {
+    q.field(self.__getColumn(key));
+  });
+
+  return q;
+};
+
+
+
+/**
+ * Returns the `RETURNING` expression for the gateway's columns.
+ *
+ * @private
+ * @returns {String}
+ */
+TableGateway.prototype.__getReturning = function __getReturning() {
+  return this.__columns ? _.map(this.__columns, this.__getColumn.bind(this)).join(', ') : '*';
+};
+
+
+
+/**
+ * Adds a condition for each key of `criteria` to a query. `null` values
+ * match with `IS NULL`, and arrays match any of their elements.
+ *
+ * @private
+ * @param {Squel} q
+ * @param {Object} criteria
+ * @returns {Squel}
+ */
+TableGateway.prototype.__addCriteria = function __addCriteria(q, criteria) {
+  var self = this;
+
+  _.forEach(criteria, function(value, key) {
+    var column = self.__getColumn(key);
+
+    if (value === null) {
+      q.where(column + ' IS NULL');
+    } else if (_.isArray(value)) {
+      if (value.length > 0) {
+        q.where(column + ' IN ?', value);
+      } else {
+        q.where('FALSE');
+      }
+    } else {
+      q.where(column + ' = ?', value);
+    }
+  });
+
+  return q;
+};
+
+
+
+/**
+ * Converts a JS-style row into a map of quoted column names to values,
+ * skipping `undefined` values.
+ *
+ * @private
+ * @param {Object} row
+ * @returns {Object}
+ */
+TableGateway.prototype.__toFields = function __toFields(row) {
+  var self = this,
+      fields = {};
+
+  _.forEach(row, function(value, key) {
+    if (!_.isUndefined(value)) {
+      fields[self.__getColumn(key)] = value;
+    }
+  });
+
+  return fields;
+};
+
+
+
+/**
+ * Builds a query with `buildQuery()` and runs it. Errors thrown while
+ * building are turned into rejections.
+ *
+ * @private
+ * @param {Function} buildQuery
+ *    Called with the gateway as `this`. Returns a Squel query, or the
+ *    result of calling `.toParam()` on one.
+ *
+ * @param {PoolClient} client
+ * @returns {Promise<Object[]>}
+ */
+TableGateway.prototype.__run = function __run(buildQuery, client) {
+  var q;
+
+  try {
+    q = buildQuery.call(this);
+    q = q.toParam ? q.toParam() : q;
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  return this.__dbc.squelQueryReturningMany(q, client, TableGateway.__ROW_OPTIONS);
+};
+
+
+
+/**
+ * @private
+ * @param {Object[]} rows
+ * @returns {Object}
+ *    The first row, or `null` if there are none.
+ */
+TableGateway.__firstOrNull = function __firstOrNull(rows) {
+  return rows.length > 0 ? rows[0] : null;
+};
+
+
+
+/**
+ * Retrieves the row with the given primary key.
+ *
+ * @public
+ * @param {Any} id
+ * @param {PoolClient} client
+ * @returns {Promise<Object>}
+ *    The row, or `null` if there is no such row.
+ */
+TableGateway.prototype.findById = function findById(id, client) {
+  return this.__run(function() {
+    return this.__newSelect()
+      .where(this.__getColumn(this.__primaryKey) + ' = ?', id);
+  }, client)
+    .then(TableGateway.__firstOrNull);
+};
+
+
+
+/**
+ * Retrieves the rows with the given primary keys, ordered by primary key.
+ * Keys without a row are skipped.
+ *
+ * @public
+ * @param {Array<Any>} ids
+ * @param {PoolClient} client
+ * @returns {Promise<Object[]>}
+ */
+TableGateway.prototype.findByIds = function findByIds(ids, client) {
+  if (_.isEmpty(ids)) {
+    return Promise.resolve([]);
+  }
+
+  return this.__run(function() {
+    return this.__newSelect()
+      .where(this.__getColumn(this.__primaryKey) + ' IN ?', ids)
+      .order(this.__getColumn(this.__primaryKey));
+  }, client);
+};
+
+
+
+/**
+ * Retrieves the rows that match every key of `criteria`, ordered by primary
+ * key.
+ *
+ * Example:
+ * ```
+ * contacts.findWhere({ companyId: 24, deletedAt: null, status: ['new', 'open'] });
+ * // WHERE company_id = 24 AND deleted_at IS NULL AND status IN ('new', 'open')
+ * ```
+ *
+ * @public
+ *
+ * @param {Object} criteria
+ *    Maps JS-style column names to values. `null` matches `NULL`, and an
+ *    array matches any of its elements.
+ *
+ * @param {PoolClient} client
+ * @returns {Promise<Object[]>}
+ */
+TableGateway.prototype.findWhere = function findWhere(criteria, client) {
+  return this.__run(function() {
+    return this.__addCriteria(this.__newSelect(), criteria)
+      .order(this.__getColumn(this.__primaryKey));
+  }, client);
+};
+
+
+
+/**
+ * Counts the rows that match every key of `criteria`. See `findWhere()`.
+ *
+ * @public
+ * @param {Object} criteria
+ *    Leave out to count every row.
+ *
+ * @param {PoolClient} client
+ * @returns {Promise<Number>}
+ */
+TableGateway.prototype.count = function count(criteria, client) {
+  return this.__run(function() {
+    return this.__addCriteria(
+      this.__dbc.getSquelSelect().from(this.__quotedName).field('COUNT(*)', 'count'),
+      criteria);
+  }, client)
+    .then(function(rows) {
+      return parseInt(rows[0].count, 10);
+    });
+};
+
+
+
+/**
+ * Inserts a row. Keys with `undefined` values are left out, so those
+ * columns get their defaults.
+ *
+ * @public
+ * @param {Object} row
+ * @param {PoolClient} client
+ * @returns {Promise<Object>}
+ *    The inserted row.
+ */
+TableGateway.prototype.insert = function insert(row, client) {
+  return this.__run(function() {
+    var fields = this.__toFields(row);
+
+    if (_.isEmpty(fields)) {
+      return {
+        text: sprintf('INSERT INTO %s DEFAULT VALUES RETURNING %s', this.__quotedName, this.__getReturning()),
+        values: []
+      };
+    }
+
+    return this.__dbc.getSquelInsert()
+      .into(this.__quotedName)
+      .setFields(fields)
+      .returning(this.__getReturning());
+  }, client)
+    .then(TableGateway.__firstOrNull);
+};
+
+
+
+/**
+ * Updates the columns given in `patch` of the row with the given primary
+ * key.
+ *
+ * @public
+ * @param {Any} id
+ * @param {Object} patch
+ * @param {PoolClient} client
+ * @returns {Promise<Object>}
+ *    The updated row, or `null` if there is no such row.
+ */
+TableGateway.prototype.update = function update(id, patch, client) {
+  var fields;
+
+  try {
+    fields = this.__toFields(patch);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  if (_.isEmpty(fields)) {
+    return this.findById(id, client);
+  }
+
+  return this.__run(function() {
+    return this.__dbc.getSquel()
+      .update({ numberedParameters: true })
+      .table(this.__quotedName)
+      .setFields(fields)
+      .where(this.__getColumn(this.__primaryKey) + ' = ?', id)
+      .returning(this.__getReturning());
+  }, client)
+    .then(TableGateway.__firstOrNull);
+};
+
+
+
+/**
+ * Deletes the row with the given primary key.
+ *
+ * @public
+ * @param {Any} id
+ * @param {PoolClient} client
+ * @returns {Promise<Object>}
+ *    The deleted row, or `null` if there was no such row.
+ */
+TableGateway.prototype.delete = function _delete(id, client) {
+  return this.__run(function() {
+    return this.__dbc.getSquel()
+      .delete({ numberedParameters: true })
+      .from(this.__quotedName)
+      .where(this.__getColumn(this.__primaryKey) + ' = ?', id)
+      .returning(this.__getReturning());
+  }, client)
+    .then(TableGateway.__firstOrNull);
+};
+
+
+
+module.exports = exports = TableGateway;
\ No newline at end of file
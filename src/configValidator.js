@@ -0,0 +1,301 @@
+'use strict';
+var _ = require('lodash');
+var sprintf = require('sprintf-js').sprintf;
+var Validator = require('jsonschema').Validator;
+var errors = require('./errors.js');
+
+var ModuleExporter = require('metisoft-module-exporter').ModuleExporter;
+var m = new ModuleExporter();
+
+
+
+/** @module configValidator */
+
+
+
+/**
+ * The schema for `DatabaseConnection~ConnectionDetails`.
+ *
+ * @private
+ * @type {Object}
+ */
+var CONNECTION_DETAILS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    'host': { type: 'string' },
+    'port': { type: 'integer', minimum: 1, maximum: 65535 },
+    'database': { type: 'string' },
+    'user': { type: 'string' },
+    'password': { type: 'string' },
+    'max': { type: 'integer', minimum: 1 },
+    'min': { type: 'integer', minimum: 0 },
+    'idleTimeoutMillis': { type: 'integer', minimum: 0 },
+    'ssl': { type: ['boolean', 'object'] },
+    'application_name': { type: 'string' },
+    'statement_timeout': { type: 'integer', minimum: 0 },
+    'keepAlive': { type: 'boolean' },
+    'binary': { type: 'boolean' },
+    'Promise': {}
+  }
+};
+
+
+
+/**
+ * The schema for `DatabaseConnection~ConnectionConfig`.
+ *
+ * Keys that aren't listed under `properties` give warnings instead of errors,
+ * unless `additionalProperties` is `true`. See `findUnknownKeys()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var CONNECTION_CONFIG_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    'connection': CONNECTION_DETAILS_SCHEMA,
+
+    'replicas': {
+      type: 'array',
+      items: CONNECTION_DETAILS_SCHEMA
+    },
+
+    'config': {
+      type: 'object',
+      properties: {
+        'verbose': { type: 'boolean' },
+        'transactionDefaults': {
+          type: 'object',
+          properties: {
+            'isolationLevel': { type: 'string', 'enum': ['serializable', 'repeatable read', 'read committed'] },
+            'readOnly': { type: 'boolean' },
+            'deferrable': { type: 'boolean' }
+          }
+        },
+        'mapRowKeys': {},
+        'queryTimeoutMs': { type: 'integer', minimum: 0 },
+        'logger': { type: 'object', additionalProperties: true },
+        'logging': {
+          type: 'object',
+          properties: {
+            'level': { type: 'string', 'enum': ['debug', 'info', 'warn', 'error'] },
+            'logArgs': {
+              type: ['boolean', 'array'],
+              items: { type: 'integer', minimum: 1 }
+            },
+            'redactArgs': { type: 'array', items: { type: 'integer', minimum: 1 } },
+            'redactKeys': { type: 'array' },
+            'maxValueLength': { type: 'integer', minimum: 0 },
+            'maxResultRows': { type: 'integer', minimum: 0 },
+            'sampleRate': { type: 'number', minimum: 0, maximum: 1 }
+          }
+        },
+        'slowQueryThresholdMs': { type: 'integer', minimum: 0 },
+        'replicaRetryDelayMs': { type: 'integer', minimum: 0 },
+        'sessionContextFromUserData': { additionalProperties: true }
+      }
+    }
+  }
+};
+
+
+
+/**
+ * The defaults filled in by `validateConnectionConfig()`.
+ *
+ * @private
+ * @type {Object}
+ */
+var DEFAULTS = {
+  connection: {
+    max: 10,
+    idleTimeoutMillis: 30000
+  },
+
+  config: {
+    verbose: false
+  }
+};
+
+
+
+/**
+ * @typedef module:configValidator~ValidationResult
+ * @type Object
+ *
+ * @property {Boolean} valid
+ *    `true` if there are no errors.
+ *
+ * @property {String[]} errors
+ *    Missing keys, and values of the wrong type. Each starts with the path
+ *    of the offending key, such as `connection.port`.
+ *
+ * @property {String[]} warnings
+ *    Keys that aren't recognized, which are often typos.
+ *
+ * @property {DatabaseConnection~ConnectionConfig} config
+ *    A copy of the config with defaults filled in. `null` if there are
+ *    errors.
+ */
+
+
+
+/**
+ * Returns the number of single-character edits it takes to turn one string
+ * into the other.
+ *
+ * @private
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+function editDistance(a, b) {
+  var previous = _.range(b.length + 1),
+      current,
+      i, j;
+
+  for (i = 1; i <= a.length; i++) {
+    current = [i];
+
+    for (j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+
+
+/**
+ * Returns a warning for each key of `value` that isn't in the schema, looking
+ * into nested objects too. Where a known key is close enough, the warning
+ * suggests it.
+ *
+ * @private
+ * @param {Any} value
+ * @param {Object} schema
+ * @param {String} path
+ *    The path of `value` in the config, such as `'connection.'`.
+ *
+ * @returns {String[]}
+ */
+function findUnknownKeys(value, schema, path) {
+  if (_.isArray(value) && schema.items) {
+    return _.flatMap(value, function(element, i) {
+      return findUnknownKeys(element, schema.items, sprintf('%s[%d].', path.slice(0, -1), i));
+    });
+  }
+
+  if (!_.isPlainObject(value) || !schema.properties || schema.additionalProperties === true) {
+    return [];
+  }
+
+  return _.flatMap(_.keys(value), function(key) {
+    var suggestion;
+
+    if (schema.properties.hasOwnProperty(key)) {
+      return findUnknownKeys(value[key], schema.properties[key], path + key + '.');
+    }
+
+    suggestion = _.find(_.keys(schema.properties), function(knownKey) {
+      return editDistance(knownKey.toLowerCase(), key.toLowerCase()) <= 2;
+    });
+
+    return [suggestion ?
+      sprintf("Unknown key '%s%s'. Did you mean '%s'?", path, key, suggestion) :
+      sprintf("Unknown key '%s%s'.", path, key)];
+  });
+}
+
+
+
+/**
+ * Checks a connection config against the schema, and fills in defaults for
+ * `max` and `idleTimeoutMillis` in `connection` and each of `replicas`, and
+ * for `config.verbose`. A missing `config` block is filled in too, and a
+ * missing `replicas` list becomes `[]`.
+ *
+ * `DatabaseConnection.getConnection()` calls this on every config before
+ * using it, so it can also be used ahead of time, such as in a deploy check.
+ *
+ * Example:
+ * ```
+ * const result = configValidator.validateConnectionConfig(require('./config/main.js'));
+ * result.warnings.forEach((warning) => console.warn(warning));
+ * if (!result.valid) {
+ *   result.errors.forEach((error) => console.error(error));
+ *   process.exit(1);
+ * }
+ * ```
+ *
+ * @memberof module:configValidator
+ * @public
+ * @param {DatabaseConnection~ConnectionConfig} config
+ * @returns {module:configValidator~ValidationResult}
+ */
+function validateConnectionConfig(config) {
+  var v = new Validator(),
+      result = v.validate(config, CONNECTION_CONFIG_SCHEMA),
+      valid = result.errors.length === 0;
+
+  return {
+    valid: valid,
+    errors: result.errors.map(function(err) {
+      return (err.property.replace(/^instance\.?/, '') || 'config') + ' ' + err.message;
+    }),
+    warnings: findUnknownKeys(config, CONNECTION_CONFIG_SCHEMA, ''),
+    config: valid ? _.assign({}, config, {
+      connection: _.defaults({}, config.connection, DEFAULTS.connection),
+      replicas: _.map(config.replicas, function(replica) {
+        return _.defaults({}, replica, DEFAULTS.connection);
+      }),
+      config: _.defaults({}, config.config, DEFAULTS.config)
+    }) : null
+  };
+}
+m.$$public(validateConnectionConfig);
+
+
+
+/**
+ * Same as `validateConnectionConfig()`, but throws if there are errors.
+ *
+ * @memberof module:configValidator
+ * @public
+ *
+ * @param {DatabaseConnection~ConnectionConfig} config
+ *
+ * @param {String} name
+ *    The connection name, used in the error message.
+ *
+ * @returns {module:configValidator~ValidationResult}
+ * @throws {module:errors.ConfigValidationError}
+ */
+function assertValidConnectionConfig(config, name) {
+  var result = validateConnectionConfig(config);
+
+  if (!result.valid) {
+    throw new errors.ConfigValidationError(
+      sprintf("Invalid configuration for connection '%s':\n%s",
+        name,
+        result.errors.map(function(message) {
+          return '  - ' + message;
+        }).join('\n')),
+      result.errors);
+  }
+
+  return result;
+}
+m.$$public(assertValidConnectionConfig);
+
+
+
+module.exports = exports = m.$$getExports();
\ No newline at end of file
@@ -346,4 +346,325 @@ m.$$public(convertErrorCodes2Map);
 
 
 
+/**
+ * The number of distinct result shapes a row key mapper remembers before
+ * it starts over with an empty cache.
+ *
+ * @private
+ */
+var ROW_KEY_MAPPER_CACHE_SIZE = 500;
+
+
+
+/**
+ * Maps the keys of the rows in a query result.
+ *
+ * @callback module:databaseUtil~mapRowKeys
+ * @param {QueryResults} queryResult
+ * @returns {Object[]}
+ *    The rows of `queryResult`, with their keys mapped.
+ */
+
+/**
+ * Returns a function that takes a query result and returns its rows with
+ * every key run through `fnMapKey`. By default, keys are converted from
+ * SQL-style names to JS-style names using `sqlName2JsName()`.
+ *
+ * Mapping a name can be comparatively slow, so the mapped keys are cached
+ * per result shape -- that is, per list of column names in `result.fields`.
+ * Each key is then mapped only once, no matter how many rows are returned.
+ *
+ * Example:
+ * ```
+ * var mapRowKeys = dbu.newRowKeyMapper();
+ * mapRowKeys({ fields: [{name: 'first_name'}], rows: [{first_name: 'James'}] });
+ * // [{firstName: 'James'}]
+ * ```
+ *
+ * @memberof module:databaseUtil
+ * @public
+ *
+ * @param {Function} fnMapKey
+ *    Takes a column name and returns the key to use for it in each row.
+ *    Defaults to `sqlName2JsName()`.
+ *
+ * @returns {module:databaseUtil~mapRowKeys}
+ */
+function newRowKeyMapper(fnMapKey) {
+  var cache = Object.create(null),
+      cacheSize = 0;
+
+  fnMapKey = fnMapKey || sqlName2JsName;
+
+  function getMappedKeys(keys) {
+    var cacheKey = keys.join('\u0000');
+
+    if (cache[cacheKey] === undefined) {
+      if (cacheSize >= ROW_KEY_MAPPER_CACHE_SIZE) {
+        cache = Object.create(null);
+        cacheSize = 0;
+      }
+
+      cache[cacheKey] = keys.map(function(key) {
+        return fnMapKey(key);
+      });
+      cacheSize++;
+    }
+
+    return cache[cacheKey];
+  }
+
+  return function mapRowKeys(queryResult) {
+    var rows = (queryResult && queryResult.rows) || [],
+        keys,
+        mappedKeys;
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    if (queryResult.fields) {
+      keys = _.map(queryResult.fields, 'name');
+    } else {
+      keys = _.keys(rows[0]);
+    }
+
+    mappedKeys = getMappedKeys(keys);
+
+    return rows.map(function(row) {
+      var mappedRow = {},
+          i;
+
+      for (i = 0; i < keys.length; i++) {
+        mappedRow[mappedKeys[i]] = row[keys[i]];
+      }
+
+      return mappedRow;
+    });
+  };
+}
+m.$$public(newRowKeyMapper);
+
+
+
+/**
+ * The patterns `convertNamedParams()` matches at a given position, so they
+ * are sticky.
+ *
+ * @private
+ * @type {RegExp}
+ */
+var NAMED_PARAM_COLON_REGEX = /:([A-Za-z_][A-Za-z0-9_]*)/y;
+var NAMED_PARAM_BRACES_REGEX = /\$\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}/y;
+var DOLLAR_QUOTE_TAG_REGEX = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+
+
+/**
+ * Rewrites a query that uses named placeholders into one that uses the
+ * positional `$1`, `$2`, etc. placeholders node-postgres expects.
+ *
+ * Placeholders can be written either as `:name` or as `${name}`. Every
+ * occurrence of the same name refers to the same position. Anything inside
+ * string literals (including `E'...'` strings with backslash escapes), quoted
+ * identifiers, dollar-quoted strings and comments is left alone, as are
+ * `::type` casts and array slices such as `arr[lo:hi]`. Inside square
+ * brackets, a `:name` that directly follows a value is read as the upper
+ * bound of a slice, so write `arr[${lo}:${hi}]` to slice with placeholders.
+ *
+ * Example:
+ * ```
+ * dbu.convertNamedParams(
+ *   "SELECT * FROM site_user WHERE company_id = :companyId AND created_at > ${since}::date AND manager_id <> :companyId",
+ *   {companyId: 24, since: '2018-01-01'}
+ * );
+ * // {
+ * //   text: "SELECT * FROM site_user WHERE company_id = $1 AND created_at > $2::date AND manager_id <> $1",
+ * //   values: [24, '2018-01-01'],
+ * //   names: ['companyId', 'since']
+ * // }
+ * ```
+ *
+ * @memberof module:databaseUtil
+ * @public
+ *
+ * @param {String} queryString
+ *
+ * @param {Object} namedValues
+ *    Maps each placeholder name to its value.
+ *
+ * @returns {Object}
+ * - `text` - The rewritten query.
+ * - `values` - The parameter array to go with `text`.
+ * - `names` - The placeholder name of each element of `values`.
+ *
+ * @throws {Error} If a placeholder has no value in `namedValues`.
+ */
+function convertNamedParams(queryString, namedValues) {
+  var text = '',
+      values = [],
+      names = [],
+      positions = {},
+      missing = [],
+      i = 0,
+      len = queryString.length,
+      bracketDepth = 0,
+      ch, next, end, match, name, dollarTag;
+
+  function appendPlaceholder(name) {
+    if (!_.has(namedValues, name) || _.isUndefined(namedValues[name])) {
+      if (!_.includes(missing, name)) {
+        missing.push(name);
+      }
+      return;
+    }
+
+    if (!positions.hasOwnProperty(name)) {
+      values.push(namedValues[name]);
+      names.push(name);
+      positions[name] = values.length;
+    }
+
+    text += '$' + positions[name];
+  }
+
+  // Returns the index just past the closing `quote`, treating a doubled
+  // quote as an escaped one, and also a backslash if `backslashEscapes` is
+  // set.
+  function skipQuoted(start, quote, backslashEscapes) {
+    var j = start + 1;
+
+    while (j < len) {
+      if (backslashEscapes && queryString[j] === '\\') {
+        j += 2;
+        continue;
+      }
+
+      if (queryString[j] === quote) {
+        if (queryString[j + 1] === quote) {
+          j += 2;
+          continue;
+        }
+        return j + 1;
+      }
+      j++;
+    }
+
+    return len;
+  }
+
+  // Returns whether the `E` or `e` at `index` starts an escape string
+  // constant, rather than ending an identifier.
+  function isEscapeStringPrefix(index) {
+    return /[Ee]/.test(queryString[index]) &&
+      queryString[index + 1] === "'" &&
+      (index === 0 || !/[A-Za-z0-9_$]/.test(queryString[index - 1]));
+  }
+
+  // Returns whether the colon at `index` is the one in an array slice, such
+  // as `arr[lo:hi]`, because it comes right after a value.
+  function isSliceColon(index) {
+    var j = index - 1;
+
+    while (j >= 0 && /\s/.test(queryString[j])) {
+      j--;
+    }
+
+    return bracketDepth > 0 && j >= 0 && /[A-Za-z0-9_)\]'"]/.test(queryString[j]);
+  }
+
+  // Returns a match for `regex` that starts exactly at `i`.
+  function matchAt(regex) {
+    regex.lastIndex = i;
+    return regex.exec(queryString);
+  }
+
+  while (i < len) {
+    ch = queryString[i];
+    next = queryString[i + 1];
+
+    if (isEscapeStringPrefix(i)) {
+      end = skipQuoted(i + 1, "'", true);
+
+    } else if (ch === "'" || ch === '"') {
+      end = skipQuoted(i, ch, false);
+
+    } else if (ch === '-' && next === '-') {
+      end = queryString.indexOf('\n', i);
+      end = end === -1 ? len : end;
+
+    } else if (ch === '/' && next === '*') {
+      end = queryString.indexOf('*/', i + 2);
+      end = end === -1 ? len : end + 2;
+
+    } else if (ch === ':' && next === ':') {
+      end = i + 2;
+
+    } else if (ch === ':' && !isSliceColon(i) && (match = matchAt(NAMED_PARAM_COLON_REGEX))) {
+      appendPlaceholder(match[1]);
+      i += match[0].length;
+      continue;
+
+    } else if (ch === '$' && (match = matchAt(NAMED_PARAM_BRACES_REGEX))) {
+      appendPlaceholder(match[1]);
+      i += match[0].length;
+      continue;
+
+    } else if (ch === '$' && (match = matchAt(DOLLAR_QUOTE_TAG_REGEX))) {
+      dollarTag = match[0];
+      end = queryString.indexOf(dollarTag, i + dollarTag.length);
+      end = end === -1 ? len : end + dollarTag.length;
+
+    } else {
+      if (ch === '[') {
+        bracketDepth++;
+      } else if (ch === ']' && bracketDepth > 0) {
+        bracketDepth--;
+      }
+
+      end = i + 1;
+    }
+
+    text += queryString.slice(i, end);
+    i = end;
+  }
+
+  if (missing.length > 0) {
+    throw new Error(sprintf("No value given for named parameter(s): %s", missing.join(', ')));
+  }
+
+  return {
+    text: text,
+    values: values,
+    names: names
+  };
+}
+m.$$public(convertNamedParams);
+
+
+
+/**
+ * Quotes an SQL identifier so it can be safely placed in a query, doubling
+ * any embedded double quotes. Schema-qualified names are quoted one part at
+ * a time.
+ *
+ * Examples:
+ * - `site_user` &rarr; `"site_user"`
+ * - `crm.qstnr` &rarr; `"crm"."qstnr"`
+ *
+ * @memberof module:databaseUtil
+ * @public
+ *
+ * @param {String} name
+ * @returns {String}
+ */
+function quoteIdentifier(name) {
+  return name.split('.').map(function(part) {
+    return '"' + part.replace(/"/g, '""') + '"';
+  }).join('.');
+}
+m.$$public(quoteIdentifier);
+
+
+
 module.exports = exports = m.$$getExports();
\ No newline at end of file
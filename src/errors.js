@@ -0,0 +1,122 @@
+'use strict';
+var util = require('util');
+
+var ModuleExporter = require('metisoft-module-exporter').ModuleExporter;
+var m = new ModuleExporter();
+
+
+
+/** @module errors */
+
+
+
+/**
+ * Thrown by `DatabaseConnection.withRetryingTransaction()` when a transaction
+ * keeps failing with a retryable error and the maximum number of attempts
+ * has been used up.
+ *
+ * @class
+ * @memberof module:errors
+ *
+ * @param {String} message
+ *
+ * @param {Number} attempts
+ *    How many times the transaction was attempted.
+ *
+ * @param {Error} lastError
+ *    The error the final attempt failed with.
+ */
+function TransactionRetryError(message, attempts, lastError) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, TransactionRetryError);
+
+  this.name = 'TransactionRetryError';
+  this.message = message;
+  this.attempts = attempts;
+  this.lastError = lastError;
+}
+util.inherits(TransactionRetryError, Error);
+m.$$public(TransactionRetryError);
+
+
+
+/**
+ * Thrown when a query runs longer than its `timeoutMs` and is cancelled on
+ * the server.
+ *
+ * @class
+ * @memberof module:errors
+ *
+ * @param {String} message
+ *
+ * @param {Number} timeoutMs
+ *    The timeout the query exceeded.
+ *
+ * @param {Error} originalError
+ *    The error the server cancelled the query with.
+ */
+function QueryTimeoutError(message, timeoutMs, originalError) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, QueryTimeoutError);
+
+  this.name = 'QueryTimeoutError';
+  this.message = message;
+  this.timeoutMs = timeoutMs;
+  this.originalError = originalError;
+}
+util.inherits(QueryTimeoutError, Error);
+m.$$public(QueryTimeoutError);
+
+
+
+/**
+ * Thrown when a query is cancelled through its `AbortSignal`.
+ *
+ * @class
+ * @memberof module:errors
+ *
+ * @param {String} message
+ *
+ * @param {Error} originalError
+ *    The error the server cancelled the query with, or `undefined` if the
+ *    signal was aborted before the query was sent.
+ */
+function QueryCancelledError(message, originalError) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, QueryCancelledError);
+
+  this.name = 'QueryCancelledError';
+  this.message = message;
+  this.originalError = originalError;
+}
+util.inherits(QueryCancelledError, Error);
+m.$$public(QueryCancelledError);
+
+
+
+/**
+ * Thrown by `DatabaseConnection.getConnection()` when a connection's
+ * configuration doesn't match the schema.
+ *
+ * @class
+ * @memberof module:errors
+ *
+ * @param {String} message
+ *
+ * @param {String[]} validationErrors
+ *    What is wrong with the configuration.
+ */
+function ConfigValidationError(message, validationErrors) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, ConfigValidationError);
+
+  this.name = 'ConfigValidationError';
+  this.message = message;
+  this.validationErrors = validationErrors;
+}
+util.inherits(ConfigValidationError, Error);
+m.$$public(ConfigValidationError);
+
+
+
+module.exports = exports = m.$$getExports();
@@ -0,0 +1,276 @@
+'use strict';
+var _ = require('lodash');
+
+var ModuleExporter = require('metisoft-module-exporter').ModuleExporter;
+var m = new ModuleExporter();
+
+
+
+/** @module logging */
+
+
+
+/**
+ * The log levels, from least to most severe.
+ *
+ * @memberof module:logging
+ * @type {String[]}
+ */
+var LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+
+
+/**
+ * The text that replaces redacted values.
+ *
+ * @private
+ * @type {String}
+ */
+var REDACTED = '[REDACTED]';
+
+
+
+/**
+ * How deep `truncateValue()` descends into objects and arrays before giving
+ * up.
+ *
+ * @private
+ * @type {Number}
+ */
+var MAX_TRUNCATE_DEPTH = 5;
+
+
+
+/**
+ * @typedef module:logging~Logger
+ * @type Object
+ *
+ * @property {Function} debug
+ * @property {Function} info
+ * @property {Function} warn
+ * @property {Function} error
+ *    Each is called with a message and an object of structured fields.
+ */
+
+/**
+ * @typedef module:logging~LoggingOptions
+ * @type Object
+ *
+ * @property {String} level
+ *    The least severe level that is logged. Defaults to `'debug'` if the
+ *    connection's `verbose` setting is on, or `'info'` otherwise. Queries are
+ *    logged at the `'debug'` level.
+ *
+ * @property {Boolean|Number[]} logArgs
+ *    Positional query arguments, such as the one for `$1`, are hidden from
+ *    the logs unless they are allowed here, since nothing tells which of them
+ *    hold secrets. Pass in `true` to log them all, or the placeholder numbers
+ *    of the ones to log, such as `[1, 3]`. Named arguments are logged unless
+ *    their names match `redactKeys`.
+ *
+ * @property {Number[]} redactArgs
+ *    The placeholder numbers of query arguments to hide from the logs, such
+ *    as `[2]` for `$2`, even if `logArgs` allows them.
+ *
+ * @property {Array<String|RegExp>} redactKeys
+ *    Hide named query arguments, and values under object keys, whose names
+ *    match any of these patterns. Strings must match the whole name, ignoring
+ *    case. Defaults to `DEFAULT_REDACT_KEYS`.
+ *
+ * @property {Number} maxValueLength
+ *    Longer strings, including the query text, are cut short in the logs.
+ *    Defaults to 1000.
+ *
+ * @property {Number} maxResultRows
+ *    How many result rows to include when a query is logged. Defaults to 0.
+ *
+ * @property {Number} sampleRate
+ *    The fraction of successful queries to log, from 0 to 1. Failed queries
+ *    are always logged. Defaults to 1.
+ */
+
+
+
+/**
+ * The `redactKeys` used when none are configured.
+ *
+ * @memberof module:logging
+ * @type {RegExp[]}
+ */
+var DEFAULT_REDACT_KEYS = [/pass(word)?/i, /secret/i, /token/i, /api_?key/i];
+
+
+
+/**
+ * A logger that writes to the console.
+ *
+ * @memberof module:logging
+ * @type {module:logging~Logger}
+ */
+var consoleLogger = {
+  debug: function debug(message, fields) {
+    console.log('[dbUtil] ' + message, fields);
+  },
+
+  info: function info(message, fields) {
+    console.log('[dbUtil] ' + message, fields);
+  },
+
+  warn: function warn(message, fields) {
+    console.warn('[dbUtil] ' + message, fields);
+  },
+
+  error: function error(message, fields) {
+    console.error('[dbUtil] ' + message, fields);
+  }
+};
+
+
+
+/**
+ * Returns the least severe level that is logged under the given settings.
+ *
+ * @memberof module:logging
+ * @public
+ * @param {DatabaseConnection~ConfigOptions} config
+ * @returns {String}
+ */
+function getLogLevel(config) {
+  return _.get(config, 'logging.level') || (_.get(config, 'verbose') ? 'debug' : 'info');
+}
+m.$$public(getLogLevel);
+
+
+
+/**
+ * @memberof module:logging
+ * @public
+ * @param {String} level
+ * @param {String} minLevel
+ * @returns {Boolean}
+ *    `true` if messages at `level` are logged when the least severe level
+ *    logged is `minLevel`.
+ */
+function isLevelEnabled(level, minLevel) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
+m.$$public(isLevelEnabled);
+
+
+
+/**
+ * @memberof module:logging
+ * @public
+ * @param {Number} sampleRate
+ * @returns {Boolean}
+ *    Whether to log this occurrence, chosen at random.
+ */
+function shouldSample(sampleRate) {
+  return _.isUndefined(sampleRate) || sampleRate >= 1 || Math.random() < sampleRate;
+}
+m.$$public(shouldSample);
+
+
+
+/**
+ * @private
+ * @param {String} key
+ * @param {Array<String|RegExp>} patterns
+ * @returns {Boolean}
+ */
+function keyMatches(key, patterns) {
+  return _.some(patterns, function(pattern) {
+    return _.isRegExp(pattern) ? pattern.test(key) : pattern.toLowerCase() === String(key).toLowerCase();
+  });
+}
+
+
+
+/**
+ * Makes a value safe and small enough to log: strings are cut short, values
+ * under keys matching `redactKeys` are hidden, and buffers are summarized.
+ *
+ * @memberof module:logging
+ * @public
+ * @param {Any} value
+ * @param {module:logging~LoggingOptions} options
+ * @returns {Any}
+ */
+function truncateValue(value, options) {
+  var maxValueLength = _.get(options, 'maxValueLength', 1000),
+      redactKeys = _.get(options, 'redactKeys', DEFAULT_REDACT_KEYS);
+
+  function truncate(v, depth) {
+    if (_.isString(v)) {
+      return v.length > maxValueLength ?
+        v.slice(0, maxValueLength) + '... [' + (v.length - maxValueLength) + ' more characters]' :
+        v;
+    } else if (Buffer.isBuffer(v)) {
+      return '[Buffer of ' + v.length + ' bytes]';
+    } else if (_.isDate(v) || !_.isObject(v)) {
+      return v;
+    } else if (depth >= MAX_TRUNCATE_DEPTH) {
+      return '[Object]';
+    } else if (_.isArray(v)) {
+      return v.map(function(element) {
+        return truncate(element, depth + 1);
+      });
+    } else {
+      return _.mapValues(v, function(element, key) {
+        return keyMatches(key, redactKeys) ? REDACTED : truncate(element, depth + 1);
+      });
+    }
+  }
+
+  return truncate(value, 0);
+}
+m.$$public(truncateValue);
+
+
+
+/**
+ * Prepares query arguments for logging. Positional arguments are hidden
+ * unless `logArgs` allows them, and named ones are hidden if their name
+ * matches `redactKeys`. Arguments whose placeholder number is in
+ * `redactArgs` are always hidden. The rest go through `truncateValue()`.
+ *
+ * @memberof module:logging
+ * @public
+ *
+ * @param {Array<Any>} args
+ *
+ * @param {String[]} argNames
+ *    The placeholder name of each argument, if the query used named
+ *    placeholders.
+ *
+ * @param {module:logging~LoggingOptions} options
+ * @returns {Array<Any>}
+ */
+function redactArgs(args, argNames, options) {
+  var allowed = _.get(options, 'logArgs', false),
+      positions = _.get(options, 'redactArgs', []),
+      redactKeys = _.get(options, 'redactKeys', DEFAULT_REDACT_KEYS);
+
+  return _.map(args, function(arg, i) {
+    var isAllowed = argNames ?
+      !keyMatches(argNames[i], redactKeys) :
+      (allowed === true || _.includes(allowed, i + 1));
+
+    if (!isAllowed || _.includes(positions, i + 1)) {
+      return REDACTED;
+    }
+
+    return truncateValue(arg, options);
+  });
+}
+m.$$public(redactArgs);
+
+
+
+module.exports = exports = m.$$getExports();
+
+// `ModuleExporter` only takes named functions, so the constants are added to
+// its exports by hand.
+exports.LOG_LEVELS = LOG_LEVELS;
+exports.DEFAULT_REDACT_KEYS = DEFAULT_REDACT_KEYS;
+exports.consoleLogger = consoleLogger;
\ No newline at end of file
@@ -0,0 +1,266 @@
+'use strict';
+var _ = require('lodash');
+var fs = require('fs');
+var sprintf = require('sprintf-js').sprintf;
+var dbu = require('./databaseUtil.js');
+
+var ModuleExporter = require('metisoft-module-exporter').ModuleExporter;
+var m = new ModuleExporter();
+
+
+
+/** @module typeGenerator */
+
+
+
+/**
+ * The TypeScript types of the values node-postgres returns for each built-in
+ * type, keyed by `udt_name`. Types that aren't listed come back as strings.
+ *
+ * @private
+ * @type {Object}
+ */
+var TS_TYPES_BY_UDT_NAME = {
+  'bool': 'boolean',
+  'int2': 'number',
+  'int4': 'number',
+  'oid': 'number',
+  'float4': 'number',
+  'float8': 'number',
+  'date': 'Date',
+  'timestamp': 'Date',
+  'timestamptz': 'Date',
+  'json': 'any',
+  'jsonb': 'any',
+  'bytea': 'Buffer',
+  'interval': 'object',
+  'point': '{ x: number, y: number }',
+  'circle': '{ x: number, y: number, radius: number }'
+};
+
+
+
+/**
+ * The TypeScript types of the arrays node-postgres parses, keyed by the
+ * `udt_name` of the array type. Arrays of any other type, including arrays
+ * of enums, come back as strings in array literal form, such as
+ * `'{sad,happy}'`.
+ *
+ * @private
+ * @type {Object}
+ */
+var TS_ARRAY_TYPES_BY_UDT_NAME = {
+  '_bool': 'boolean[]',
+  '_bytea': 'Buffer[]',
+  '_int2': 'number[]',
+  '_int4': 'number[]',
+  '_int8': 'string[]',
+  '_oid': 'number[]',
+  '_float4': 'number[]',
+  '_float8': 'number[]',
+  '_numeric': 'number[]',
+  '_point': '{ x: number, y: number }[]',
+  '_bpchar': 'string[]',
+  '_varchar': 'string[]',
+  '_text': 'string[]',
+  '_regproc': 'string[]',
+  '_cidr': 'string[]',
+  '_inet': 'string[]',
+  '_macaddr': 'string[]',
+  '_uuid': 'string[]',
+  '_money': 'string[]',
+  '_numrange': 'string[]',
+  '_time': 'string[]',
+  '_timetz': 'string[]',
+  '_date': 'Date[]',
+  '_timestamp': 'Date[]',
+  '_timestamptz': 'Date[]',
+  '_json': 'any[]',
+  '_jsonb': 'any[]'
+};
+
+
+
+/**
+ * The header written at the top of every generated file.
+ *
+ * @private
+ * @type {String}
+ */
+var FILE_HEADER = '// This file was generated from the database by metisoft-database-util. Do not edit it by hand.\n';
+
+
+
+/**
+ * Converts an SQL-style name into a TypeScript type name.
+ *
+ * Example: `site_user` &rarr; `SiteUser`
+ *
+ * @private
+ * @param {String} name
+ * @returns {String}
+ */
+function sqlName2TypeName(name) {
+  return _.upperFirst(dbu.sqlName2JsName(name.replace(/[^A-Za-z0-9_]/g, '_')));
+}
+
+
+
+/**
+ * Returns the name of the type generated for a relation or an enum. Names
+ * outside of the `public` schema are prefixed with the schema name, so that
+ * `crm.contact` becomes `CrmContact`.
+ *
+ * @private
+ * @param {String} schema
+ * @param {String} name
+ * @returns {String}
+ */
+function getTypeName(schema, name) {
+  return (schema === 'public' ? '' : sqlName2TypeName(schema)) + sqlName2TypeName(name);
+}
+
+
+
+/**
+ * Returns a property name, quoted if it isn't a valid identifier.
+ *
+ * @private
+ * @param {String} name
+ * @returns {String}
+ */
+function formatPropertyName(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+
+
+/**
+ * Maps the type of a column to a TypeScript type, without nullability.
+ *
+ * @private
+ * @param {DatabaseConnection~IntrospectedColumn} column
+ * @param {DatabaseConnection~Introspection} db
+ * @returns {String}
+ */
+function getColumnTsType(column, db) {
+  if (column.isArray) {
+    return TS_ARRAY_TYPES_BY_UDT_NAME[column.udtName] || 'string';
+  } else if (db.enums[column.udtSchema + '.' + column.udtName]) {
+    return getTypeName(column.udtSchema, column.udtName);
+  } else {
+    return TS_TYPES_BY_UDT_NAME[column.udtName] || 'string';
+  }
+}
+
+
+
+/**
+ * Renders the type definitions for the result of
+ * `DatabaseConnection.introspect()`.
+ *
+ * Each enum becomes a union of string literals, and each table and view
+ * becomes an interface with a property for each column, named with
+ * `sqlName2JsName()`. Nullable columns include `null` in their type.
+ *
+ * Everything is sorted by name, so the same schema always gives the same
+ * output.
+ *
+ * @memberof module:typeGenerator
+ * @public
+ * @param {DatabaseConnection~Introspection} db
+ * @returns {String}
+ */
+function renderTypeDefinitions(db) {
+  var blocks = [];
+
+  _.forEach(_.sortBy(_.keys(db.enums)), function(key) {
+    var enumType = db.enums[key];
+
+    blocks.push(sprintf('export type %s = %s;\n',
+      getTypeName(enumType.schema, enumType.name),
+      enumType.values.map(function(value) {
+        return JSON.stringify(value);
+      }).join(' | ') || 'never'));
+  });
+
+  _.forEach(_.sortBy(_.keys(db.tables).concat(_.keys(db.views))), function(key) {
+    var relation = db.tables[key] || db.views[key];
+
+    blocks.push(sprintf('export interface %s {\n%s}\n',
+      getTypeName(relation.schema, relation.name),
+      relation.columns.map(function(column) {
+        return sprintf('  %s: %s;\n',
+          formatPropertyName(dbu.sqlName2JsName(column.name)),
+          getColumnTsType(column, db) + (column.nullable ? ' | null' : ''));
+      }).join('')));
+  });
+
+  return [FILE_HEADER].concat(blocks).join('\n');
+}
+m.$$public(renderTypeDefinitions);
+
+
+
+/**
+ * Reads the catalog through a `DatabaseConnection` and renders type
+ * definitions for it. See `renderTypeDefinitions()`.
+ *
+ * @memberof module:typeGenerator
+ * @public
+ *
+ * @param {DatabaseConnection} dbc
+ *
+ * @param {Object} options
+ * @param {String[]} options.schemas
+ *    The schemas to generate types for. Defaults to `['public']`.
+ *
+ * @returns {Promise<String>}
+ */
+function generateTypeDefinitions(dbc, options) {
+  options = options || {};
+
+  return dbc.introspect({ schemas: options.schemas, refresh: true })
+    .then(renderTypeDefinitions);
+}
+m.$$public(generateTypeDefinitions);
+
+
+
+/**
+ * Generates type definitions, and writes them to a `.d.ts` file.
+ *
+ * Example:
+ * ```
+ * typeGenerator.writeTypeDefinitions(dbc, 'types/db.d.ts', { schemas: ['public', 'crm'] });
+ * ```
+ *
+ * @memberof module:typeGenerator
+ * @public
+ * @param {DatabaseConnection} dbc
+ * @param {String} filename
+ * @param {Object} options
+ *    See `generateTypeDefinitions()`.
+ *
+ * @returns {Promise<String>}
+ *    The generated definitions.
+ */
+function writeTypeDefinitions(dbc, filename, options) {
+  return generateTypeDefinitions(dbc, options)
+    .then(function(definitions) {
+      return new Promise(function(resolve, reject) {
+        fs.writeFile(filename, definitions, 'utf8', function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(definitions);
+          }
+        });
+      });
+    });
+}
+m.$$public(writeTypeDefinitions);
+
+
+
+module.exports = exports = m.$$getExports();
\ No newline at end of file
@@ -9,8 +9,10 @@ var assert = chai.assert;
 var should = chai.should();
 var sinon = require('sinon');
 var Promise = require('bluebird');
+var path = require('path');
 
 var DatabaseConnection = require('../../index.js').DatabaseConnection;
+var errors = require('../../index.js').errors;
 var dbc = new DatabaseConnection('test', {});
 
 var pgMocks = require('./pg_mock.js');
@@ -465,5 +467,2270 @@ describe('DatabaseConnection unit test suite', function() {
         .finally(function() { testDone(); });      
     })
   });
+
+
+
+  describe("__DI_withTransaction() suite", function() {
+
+    it("should commit, resolve to the callback's value and release the client", function() {
+      var pool = new MockPgPool({ clientOptions: {} });
+
+      return dbc.__DI_withTransaction(pool, function(client) {
+          return dbc.__DI_queryWithClient({}, 'SELECT 1', [], client)
+            .then(function() {
+              return 47;
+            });
+        })
+        .then(function(result) {
+          expect(result).to.equal(47);
+          expect(pool.client.queries).to.deep.equal(['BEGIN', 'SELECT 1', 'COMMIT']);
+          expect(pool.client.releaseCount).to.equal(1);
+          expect(pool.client.releaseErr).to.be.undefined;
+        });
+    });
+
+    it("should roll back, release the client and rethrow when the callback rejects", function() {
+      var pool = new MockPgPool({ clientOptions: {} });
+
+      return dbc.__DI_withTransaction(pool, function(client) {
+          return Promise.reject(new Error('WORK_FAILED'));
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('WORK_FAILED');
+          expect(pool.client.queries).to.deep.equal(['BEGIN', 'ROLLBACK']);
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should roll back when the callback throws synchronously", function() {
+      var pool = new MockPgPool({ clientOptions: {} });
+
+      return dbc.__DI_withTransaction(pool, function(client) {
+          throw new Error('WORK_FAILED');
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('WORK_FAILED');
+          expect(pool.client.queries).to.deep.equal(['BEGIN', 'ROLLBACK']);
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should rethrow the original error and discard the client if the rollback fails", function() {
+      var pool = new MockPgPool({ clientOptions: { failOn: ['ROLLBACK'] } });
+
+      return dbc.__DI_withTransaction(pool, function(client) {
+          throw new Error('WORK_FAILED');
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('WORK_FAILED');
+          expect(pool.client.releaseCount).to.equal(1);
+          expect(pool.client.releaseErr).to.exist;
+        });
+    });
+
+    it("should roll back if the commit fails", function() {
+      var pool = new MockPgPool({ clientOptions: { failOn: ['COMMIT'] } });
+
+      return dbc.__DI_withTransaction(pool, function(client) {
+          return 47;
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(pool.client.queries).to.deep.equal(['BEGIN', 'COMMIT', 'ROLLBACK']);
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+  });
+
+
+
+  describe("Nested transaction suite", function() {
+
+    it("should use savepoints for transactions opened inside another transaction", function() {
+      var client = new MockClient({});
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.beginTransaction(client);
+        })
+        .then(function() {
+          return dbc.beginTransaction(client);
+        })
+        .then(function() {
+          return dbc.rollbackTransaction(client);
+        })
+        .then(function() {
+          return dbc.commitTransaction(client);
+        })
+        .then(function() {
+          return dbc.commitTransaction(client);
+        })
+        .then(function() {
+          expect(client.queries).to.deep.equal([
+            'BEGIN',
+            'SAVEPOINT sp_1',
+            'SAVEPOINT sp_2',
+            'ROLLBACK TO SAVEPOINT sp_2',
+            'RELEASE SAVEPOINT sp_1',
+            'COMMIT'
+          ]);
+          expect(client.releaseWasCalled).to.be.false;
+        });
+    });
+
+    it("should send a plain BEGIN again once the outer transaction has ended", function() {
+      var client = new MockClient({});
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.rollbackTransaction(client);
+        })
+        .then(function() {
+          return dbc.beginTransaction(client);
+        })
+        .then(function() {
+          expect(client.queries).to.deep.equal(['BEGIN', 'ROLLBACK', 'BEGIN']);
+        });
+    });
+
+    it("should join a caller's transaction through a savepoint and leave the client alone", function() {
+      var pool = new MockPgPool({}),
+          client = new MockClient({});
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.__DI_withTransaction(pool, function(c) {
+            expect(c).to.equal(client);
+            throw new Error('WORK_FAILED');
+          }, { client: client });
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('WORK_FAILED');
+          expect(pool.client).to.be.null;
+          expect(client.queries).to.deep.equal(['BEGIN', 'SAVEPOINT sp_1', 'ROLLBACK TO SAVEPOINT sp_1']);
+          expect(client.releaseWasCalled).to.be.false;
+          return dbc.commitTransaction(client);
+        })
+        .then(function() {
+          expect(_.last(client.queries)).to.equal('COMMIT');
+        });
+    });
+
+    it("should leave a caller's transaction alone if its savepoint can't be made", function() {
+      var pool = new MockPgPool({}),
+          client = new MockClient({ failOn: ['SAVEPOINT'] }),
+          fn = sinon.spy();
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.__DI_withTransaction(pool, fn, { client: client });
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(fn.called).to.be.false;
+          expect(client.queries).to.deep.equal(['BEGIN', 'SAVEPOINT sp_1']);
+          expect(dbc.__getTransactionDepth(client)).to.equal(1);
+        });
+    });
+
+    it("should reject and keep the client if a nested rollback fails", function() {
+      var client = new MockClient({ failOn: ['ROLLBACK TO SAVEPOINT'] });
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.beginTransaction(client);
+        })
+        .then(function() {
+          return dbc.rollbackTransaction(client);
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(client.queries).to.deep.equal(['BEGIN', 'SAVEPOINT sp_1', 'ROLLBACK TO SAVEPOINT sp_1']);
+          expect(client.releaseCount).to.equal(0);
+          expect(dbc.__getTransactionDepth(client)).to.equal(2);
+        });
+    });
+
+    it("should still release the client if the outermost rollback fails", function() {
+      var client = new MockClient({ failOn: ['ROLLBACK'] });
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.rollbackTransaction(client);
+        })
+        .then(function() {
+          expect(client.releaseCount).to.equal(1);
+          expect(dbc.__getTransactionDepth(client)).to.equal(0);
+        });
+    });
+
+  });
+
+
+
+  describe("__DI_withRetryingTransaction() suite", function() {
+    var genRetryableError = function genRetryableError(code) {
+          var err = new Error('could not serialize access');
+          err.code = code;
+          return err;
+        },
+        fnDelay = function(millis) {
+          return Promise.resolve();
+        };
+
+    it("should retry serialization failures and deadlocks until the transaction succeeds", function() {
+      var failures = [genRetryableError('40001'), genRetryableError('40P01')],
+          fnWithTransaction = sinon.spy(function(fn, options) {
+            if (failures.length > 0) {
+              return Promise.reject(failures.shift());
+            }
+            return Promise.resolve(fn({}));
+          }),
+          onRetry = sinon.spy();
+
+      return dbc.__DI_withRetryingTransaction(fnWithTransaction, fnDelay, function() {
+          return 'DONE';
+        }, { onRetry: onRetry, baseDelayMillis: 10, maxDelayMillis: 15 })
+        .then(function(result) {
+          expect(result).to.equal('DONE');
+          expect(fnWithTransaction.callCount).to.equal(3);
+          expect(onRetry.callCount).to.equal(2);
+          expect(onRetry.firstCall.args[0].code).to.equal('40001');
+          expect(onRetry.firstCall.args[1]).to.equal(1);
+          expect(onRetry.secondCall.args[1]).to.equal(2);
+          expect(onRetry.secondCall.args[2]).to.be.within(0, 15);
+        });
+    });
+
+    it("should give up with a TransactionRetryError once the attempts run out", function() {
+      var fnWithTransaction = sinon.spy(function() {
+            return Promise.reject(genRetryableError('40001'));
+          });
+
+      return dbc.__DI_withRetryingTransaction(fnWithTransaction, fnDelay, function() {}, { maxAttempts: 3 })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.TransactionRetryError);
+          expect(err.attempts).to.equal(3);
+          expect(err.lastError.code).to.equal('40001');
+          expect(fnWithTransaction.callCount).to.equal(3);
+        });
+    });
+
+    it("should not retry other errors", function() {
+      var fnWithTransaction = sinon.spy(function() {
+            return Promise.reject(genRetryableError('23505'));
+          });
+
+      return dbc.__DI_withRetryingTransaction(fnWithTransaction, fnDelay, function() {})
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.code).to.equal('23505');
+          expect(fnWithTransaction.callCount).to.equal(1);
+        });
+    });
+
+    it("should refuse to run on a caller's client", function() {
+      var fnWithTransaction = sinon.spy();
+
+      return dbc.__DI_withRetryingTransaction(fnWithTransaction, fnDelay, function() {}, { client: {} })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(fnWithTransaction.called).to.be.false;
+        });
+    });
+
+  });
+
+
+
+  describe("beginTransaction() options suite", function() {
+
+    it("should build BEGIN statements for the given transaction modes", function() {
+      var testSet = [
+            {
+              options: {},
+              expected: 'BEGIN'
+            },
+            {
+              options: { isolationLevel: 'repeatable read' },
+              expected: 'BEGIN ISOLATION LEVEL REPEATABLE READ'
+            },
+            {
+              options: { isolationLevel: 'read committed', readOnly: false },
+              expected: 'BEGIN ISOLATION LEVEL READ COMMITTED, READ WRITE'
+            },
+            {
+              options: { isolationLevel: 'serializable', readOnly: true, deferrable: true },
+              expected: 'BEGIN ISOLATION LEVEL SERIALIZABLE, READ ONLY, DEFERRABLE'
+            },
+            {
+              options: { readOnly: true, deferrable: false },
+              expected: 'BEGIN READ ONLY, NOT DEFERRABLE'
+            }
+          ];
+
+      testSet.forEach(function(test) {
+        expect(dbc.__buildBeginStatement(test.options)).to.equal(test.expected);
+      });
+    });
+
+    it("should reject invalid options without sending anything", function() {
+      var client = new MockClient({}),
+          testSet = [
+            { isolationLevel: 'read uncommitted' },
+            { readOnly: 'yes' },
+            { isolationLevel: 'serializable', deferrable: true },
+            { readOnly: true, deferrable: true }
+          ];
+
+      return Promise.each(testSet, function(options) {
+          return dbc.beginTransaction(client, options)
+            .then(function() {
+              assert.fail();
+            }, function(err) {
+              expect(err).to.exist;
+            });
+        })
+        .then(function() {
+          expect(client.queries).to.deep.equal([]);
+        });
+    });
+
+    it("should fill in modes from the connection's transaction defaults", function() {
+      var dbcWithDefaults = new DatabaseConnection('test', {
+            config: {
+              transactionDefaults: { isolationLevel: 'serializable', readOnly: true }
+            }
+          }),
+          client = new MockClient({});
+
+      return dbcWithDefaults.beginTransaction(client, { readOnly: false })
+        .then(function() {
+          expect(client.queries).to.deep.equal(['BEGIN ISOLATION LEVEL SERIALIZABLE, READ WRITE']);
+        });
+    });
+
+    it("should not allow modes on a nested transaction", function() {
+      var client = new MockClient({});
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.beginTransaction(client, { isolationLevel: 'serializable' });
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(client.queries).to.deep.equal(['BEGIN']);
+        });
+    });
+
+    it("should reject invalid withTransaction() options before taking a client", function() {
+      var pool = new MockPgPool({}),
+          fn = sinon.spy();
+
+      return dbc.__DI_withTransaction(pool, fn, { isolationLevel: 'read uncommitted' })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Invalid isolation level: 'read uncommitted'");
+          expect(pool.client).to.be.null;
+          expect(fn.called).to.be.false;
+        });
+    });
+
+    it("should reject modes for a caller's transaction without touching it", function() {
+      var pool = new MockPgPool({}),
+          client = new MockClient({});
+
+      return dbc.beginTransaction(client)
+        .then(function() {
+          return dbc.__DI_withTransaction(pool, _.noop, { client: client, readOnly: true });
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Transaction modes cannot be set on a nested transaction.");
+          expect(client.queries).to.deep.equal(['BEGIN']);
+          expect(dbc.__getTransactionDepth(client)).to.equal(1);
+        });
+    });
+
+  });
+
+
+
+  describe("Row key mapping suite", function() {
+    var queryResult = {
+          fields: [{ name: 'first_name' }],
+          rows: [{ 'first_name': 'James' }]
+        };
+
+    it("should leave rows alone unless asked to map them", function() {
+      return dbc.__DI_queryReturningMany(genFnQuery(Promise.resolve(queryResult)), '', [])
+        .then(function(rows) {
+          expect(rows).to.deep.equal([{ 'first_name': 'James' }]);
+        });
+    });
+
+    it("should map rows when asked to per call", function() {
+      return dbc.__DI_queryReturningOne(genFnQuery(Promise.resolve(queryResult)), '', [], null, { mapRowKeys: true })
+        .then(function(row) {
+          expect(row).to.deep.equal({ firstName: 'James' });
+        });
+    });
+
+    it("should use the connection's setting, which a call can override", function() {
+      var mappingDbc = new DatabaseConnection('test', { config: { mapRowKeys: true } });
+
+      expect(mappingDbc.turnQueryResultIntoRows(queryResult)).to.deep.equal([{ firstName: 'James' }]);
+      expect(mappingDbc.turnQueryResultIntoRows(queryResult, { mapRowKeys: false })).to.deep.equal([{ 'first_name': 'James' }]);
+      expect(mappingDbc.turnQueryResultIntoRows(queryResult, { mapRowKeys: _.toUpper })).to.deep.equal([{ 'FIRST_NAME': 'James' }]);
+    });
+  });
+
+
+
+  describe("Named parameter suite", function() {
+
+    it("should rewrite named parameters before running the query", function() {
+      var queryWithoutClient = sinon.spy(function() {
+            return Promise.resolve('OK');
+          });
+
+      return dbc.__DI_query(sinon.spy(), queryWithoutClient, 'SELECT * FROM crm WHERE id = :id', { id: 99 })
+        .then(function() {
+          expect(queryWithoutClient.calledWith('SELECT * FROM crm WHERE id = $1', [99])).to.be.true;
+        });
+    });
+
+    it("should reject without running the query if a value is missing", function() {
+      var queryWithClient = sinon.spy();
+
+      return dbc.__DI_query(queryWithClient, sinon.spy(), 'SELECT * FROM crm WHERE id = :id', {}, {})
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.match(/id/);
+          expect(queryWithClient.called).to.be.false;
+        });
+    });
+
+  });
+
+
+
+  describe("__DI_queryStream() suite", function() {
+    var genStreamPool = function genStreamPool(totalRows, clientOptions) {
+          var nextId = 1;
+
+          return new MockPgPool({
+            clientOptions: _.assign({
+              fnResult: function(queryStr) {
+                var count = parseInt((/^FETCH FORWARD (\d+)/.exec(queryStr) || [])[1], 10),
+                    rows = [];
+
+                while (count > 0 && nextId <= totalRows) {
+                  rows.push({ 'row_id': nextId++ });
+                  count--;
+                }
+
+                return { rows: rows };
+              }
+            }, clientOptions)
+          });
+        },
+        collect = function collect(iterator, limit) {
+          var values = [];
+
+          function step() {
+            if (limit !== undefined && values.length >= limit) {
+              return iterator['return']().then(function() {
+                return values;
+              });
+            }
+
+            return iterator.next()
+              .then(function(item) {
+                if (item.done) {
+                  return values;
+                }
+                values.push(item.value);
+                return step();
+              });
+          }
+
+          return step();
+        };
+
+    it("should yield every row through a cursor and release the client at the end", function() {
+      var pool = genStreamPool(5);
+
+      return collect(dbc.__DI_queryStream(pool, 'SELECT * FROM crm WHERE id > $1', [0], { batchSize: 2, mapRowKeys: true }))
+        .then(function(rows) {
+          expect(_.map(rows, 'rowId')).to.deep.equal([1, 2, 3, 4, 5]);
+          expect(pool.client.queries).to.deep.equal([
+            'BEGIN',
+            'DECLARE dbutil_query_stream NO SCROLL CURSOR FOR SELECT * FROM crm WHERE id > $1',
+            'FETCH FORWARD 2 FROM dbutil_query_stream',
+            'FETCH FORWARD 2 FROM dbutil_query_stream',
+            'FETCH FORWARD 2 FROM dbutil_query_stream',
+            'COMMIT'
+          ]);
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should yield batches of rows when asked to", function() {
+      var pool = genStreamPool(3);
+
+      return collect(dbc.__DI_queryStream(pool, 'SELECT 1', [], { batchSize: 2, batches: true }))
+        .then(function(batches) {
+          expect(batches.length).to.equal(2);
+          expect(batches[1]).to.deep.equal([{ 'row_id': 3 }]);
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should release the client when the consumer stops early", function() {
+      var pool = genStreamPool(10);
+
+      return collect(dbc.__DI_queryStream(pool, 'SELECT 1', [], { batchSize: 4 }), 2)
+        .then(function(rows) {
+          expect(rows.length).to.equal(2);
+          expect(_.last(pool.client.queries)).to.equal('ROLLBACK');
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should release the client and reject when a fetch fails", function() {
+      var pool = genStreamPool(10, { failOn: ['FETCH'] });
+
+      return collect(dbc.__DI_queryStream(pool, 'SELECT 1', []))
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(_.last(pool.client.queries)).to.equal('ROLLBACK');
+          expect(pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+  });
+
+
+
+  describe("bulkInsert() suite", function() {
+    var genInsertDbc = function genInsertDbc(clientOptions) {
+          var insertDbc = new DatabaseConnection('test', { config: {} });
+          insertDbc.__pool = new MockPgPool({ clientOptions: clientOptions });
+          return insertDbc;
+        };
+
+    it("should insert the union of the columns, using DEFAULT for missing values", function() {
+      var insertDbc = genInsertDbc({
+            fnResult: function(queryStr, args) {
+              return { rows: [{ 'id': 1, 'first_name': 'James' }, { 'id': 2, 'first_name': null }] };
+            }
+          });
+
+      return insertDbc.bulkInsert('crm.contact', [
+          { firstName: 'James', lastName: 'Brawn' },
+          { zipCode5: '40202' }
+        ], { returning: ['id', 'firstName'] })
+        .then(function(rows) {
+          var queries = insertDbc.__pool.client.queries;
+
+          expect(queries).to.deep.equal([
+            'BEGIN',
+            'INSERT INTO "crm"."contact" ("first_name", "last_name", "zip_code_5") VALUES ($1, $2, DEFAULT), (DEFAULT, DEFAULT, $3) '
+              + 'RETURNING "id", "first_name"',
+            'COMMIT'
+          ]);
+          expect(rows).to.deep.equal([{ id: 1, firstName: 'James' }, { id: 2, firstName: null }]);
+          expect(insertDbc.__pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should split the rows into chunks inside one transaction", function() {
+      var insertDbc = genInsertDbc({
+            fnResult: function(queryStr, args) {
+              return { rows: args.map(function(id) { return { 'id': id }; }) };
+            }
+          }),
+          rows = _.range(1, 6).map(function(id) {
+            return { id: id };
+          });
+
+      return insertDbc.bulkInsert('site_user', rows, { returning: true, chunkSize: 2 })
+        .then(function(returnedRows) {
+          var queries = insertDbc.__pool.client.queries;
+
+          expect(queries.length).to.equal(5);
+          expect(queries[0]).to.equal('BEGIN');
+          expect(queries[3]).to.equal('INSERT INTO "site_user" ("id") VALUES ($1) RETURNING *');
+          expect(queries[4]).to.equal('COMMIT');
+          expect(_.map(returnedRows, 'id')).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+    });
+
+    it("should keep chunks under the bind parameter limit", function() {
+      var chunks = dbc.__chunkRowsForInsert(_.range(70000), 2);
+
+      expect(chunks.length).to.equal(3);
+      expect(chunks[0].length).to.equal(32767);
+    });
+
+    it("should roll back every chunk if one fails", function() {
+      var insertDbc = genInsertDbc({ failOn: ['INSERT'] });
+
+      return insertDbc.bulkInsert('site_user', [{ id: 1 }])
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(_.last(insertDbc.__pool.client.queries)).to.equal('ROLLBACK');
+          expect(insertDbc.__pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+  });
+
+
+
+  describe("copyFrom() and copyTo() suite", function() {
+    var stream = require('stream'),
+        genCopyClient = function genCopyClient(copyStream) {
+          return {
+            copyText: null,
+            releaseCount: 0,
+            releaseErr: null,
+            query: function(copyQuery) {
+              this.copyText = copyQuery.text;
+              return copyStream;
+            },
+            release: function(err) {
+              this.releaseCount++;
+              this.releaseErr = err;
+            }
+          };
+        },
+        genCopyFromStream = function genCopyFromStream() {
+          var copyStream = new stream.Writable({
+                write: function(chunk, encoding, callback) {
+                  copyStream.data += chunk.toString();
+                  callback();
+                }
+              });
+
+          copyStream.data = '';
+          copyStream.on('finish', function() {
+            copyStream.rowCount = copyStream.data.split('\n').length - 1;
+            copyStream.emit('end');
+          });
+          return copyStream;
+        };
+
+    it("should format rows as CSV, quoting every non-null value", function() {
+      var copyStream = genCopyFromStream(),
+          client = genCopyClient(copyStream);
+
+      return dbc.copyFrom('crm.contact', ['firstName', 'note'], [
+          { firstName: 'James', note: 'says "hi", often' },
+          { firstName: '', note: null }
+        ], { client: client })
+        .then(function(result) {
+          expect(client.copyText).to.equal('COPY "crm"."contact" ("first_name", "note") FROM STDIN WITH (FORMAT csv)');
+          expect(copyStream.data).to.equal('"James","says ""hi"", often"\n"",\n');
+          expect(result.rowCount).to.equal(2);
+          expect(client.releaseCount).to.equal(0);
+        });
+    });
+
+    it("should escape rows in the text format", function() {
+      var copyStream = genCopyFromStream();
+
+      return dbc.copyFrom('note', ['body', 'deletedAt'], [{ body: 'a\tb\\c\nd' }], {
+          client: genCopyClient(copyStream),
+          format: 'text'
+        })
+        .then(function() {
+          expect(copyStream.data).to.equal('a\\tb\\\\c\\nd\t\\N\n');
+        });
+    });
+
+    it("should reject rows given as objects in the binary format", function() {
+      return dbc.copyFrom('note', ['body'], [{ body: 'a' }], { format: 'binary' })
+        .should.be.rejectedWith(Error);
+    });
+
+    it("should release an owned client with the error if the source fails", function() {
+      var copyDbc = new DatabaseConnection('test', { config: {} }),
+          client = genCopyClient(genCopyFromStream()),
+          source = new stream.Readable({
+            read: function() {
+              this.emit('error', new Error('disk on fire'));
+            }
+          });
+
+      copyDbc.__pool = {
+        connect: function() {
+          return Promise.resolve(client);
+        }
+      };
+
+      return copyDbc.copyFrom('note', null, source)
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('disk on fire');
+          expect(client.releaseCount).to.equal(1);
+          expect(client.releaseErr).to.equal(err);
+        });
+    });
+
+    it("should wrap queries in parentheses and release the client when the stream ends", function() {
+      var copyDbc = new DatabaseConnection('test', { config: {} }),
+          copyStream = new stream.PassThrough(),
+          client = genCopyClient(copyStream);
+
+      copyDbc.__pool = {
+        connect: function() {
+          return Promise.resolve(client);
+        }
+      };
+
+      return copyDbc.copyTo('SELECT id FROM crm.contact')
+        .then(function(output) {
+          expect(client.copyText).to.equal('COPY (SELECT id FROM crm.contact) TO STDOUT WITH (FORMAT csv)');
+
+          return new Promise(function(resolve) {
+            output.on('end', resolve);
+            output.resume();
+            copyStream.end('1\n');
+          });
+        })
+        .then(function() {
+          expect(client.releaseCount).to.equal(1);
+          expect(client.releaseErr).to.be.undefined;
+        });
+    });
+
+  });
+
+
+
+  describe("upsert() suite", function() {
+    var genUpsertDbc = function genUpsertDbc(clientOptions) {
+          var upsertDbc = new DatabaseConnection('test', { config: {} });
+          upsertDbc.__pool = new MockPgPool({ clientOptions: clientOptions });
+          return upsertDbc;
+        };
+
+    it("should update every non-conflict column by default and report inserts", function() {
+      var upsertDbc = genUpsertDbc({
+            fnResult: function(queryStr, args) {
+              return {
+                rows: [
+                  { 'id': 1, 'dbutil_upsert_inserted': false },
+                  { 'id': 2, 'dbutil_upsert_inserted': true }
+                ]
+              };
+            }
+          });
+
+      return upsertDbc.upsert('crm.contact', [
+          { email: 'a@example.com', firstName: 'James' },
+          { email: 'b@example.com', firstName: 'Andy' }
+        ], { conflictColumns: ['email'], returning: ['id'] })
+        .then(function(results) {
+          expect(upsertDbc.__pool.client.queries[1]).to.equal(
+            'INSERT INTO "crm"."contact" ("email", "first_name") VALUES ($1, $2), ($3, $4) '
+              + 'ON CONFLICT ("email") DO UPDATE SET "first_name" = EXCLUDED."first_name" '
+              + 'RETURNING "id", (xmax = 0) AS "dbutil_upsert_inserted"');
+          expect(results).to.deep.equal([
+            { row: { id: 1 }, inserted: false },
+            { row: { id: 2 }, inserted: true }
+          ]);
+        });
+    });
+
+    it("should support constraints, update columns and a where condition", function() {
+      var upsertDbc = genUpsertDbc();
+
+      return upsertDbc.upsert('site_user', { id: 3, name: 'Sue', updatedAt: 'now' }, {
+          conflictConstraint: 'site_user_pkey',
+          updateColumns: ['updatedAt'],
+          where: 'site_user.updated_at < EXCLUDED.updated_at'
+        })
+        .then(function(result) {
+          expect(upsertDbc.__pool.client.queries[1]).to.equal(
+            'INSERT INTO "site_user" ("id", "name", "updated_at") VALUES ($1, $2, $3) '
+              + 'ON CONFLICT ON CONSTRAINT "site_user_pkey" DO UPDATE SET "updated_at" = EXCLUDED."updated_at" '
+              + 'WHERE site_user.updated_at < EXCLUDED.updated_at '
+              + 'RETURNING (xmax = 0) AS "dbutil_upsert_inserted"');
+          expect(result).to.be.null;
+        });
+    });
+
+    it("should support DO NOTHING without a conflict target", function() {
+      var upsertDbc = genUpsertDbc();
+
+      return upsertDbc.upsert('tag', [{ name: 'red' }], { doNothing: true })
+        .then(function(results) {
+          expect(upsertDbc.__pool.client.queries[1]).to.equal(
+            'INSERT INTO "tag" ("name") VALUES ($1) ON CONFLICT DO NOTHING '
+              + 'RETURNING (xmax = 0) AS "dbutil_upsert_inserted"');
+          expect(results).to.deep.equal([null]);
+        });
+    });
+
+    it("should upsert row by row and keep results in line when rows can be skipped", function() {
+      var upsertDbc = genUpsertDbc({
+            fnResult: function(queryStr, args) {
+              return {
+                rows: _.get(args, 0) === 'blue' ? [] : [{ 'id': _.get(args, '0.length'), 'dbutil_upsert_inserted': true }]
+              };
+            }
+          });
+
+      return upsertDbc.upsert('tag', [{ name: 'red' }, { name: 'blue' }, { name: 'green' }], {
+          conflictColumns: ['name'],
+          doNothing: true,
+          returning: ['id'],
+          chunkSize: 100
+        })
+        .then(function(results) {
+          expect(upsertDbc.__pool.client.queries).to.have.length(5);
+          expect(upsertDbc.__pool.client.queries[1]).to.equal(
+            'INSERT INTO "tag" ("name") VALUES ($1) ON CONFLICT ("name") DO NOTHING '
+              + 'RETURNING "id", (xmax = 0) AS "dbutil_upsert_inserted"');
+          expect(results).to.deep.equal([
+            { row: { id: 3 }, inserted: true },
+            null,
+            { row: { id: 5 }, inserted: true }
+          ]);
+        });
+    });
+
+    it("should upsert rows with different keys separately, updating only their own columns", function() {
+      var upsertDbc = genUpsertDbc({
+            fnResult: function(queryStr, args) {
+              return {
+                rows: _.map(_.filter(args, _.isNumber), function(id) {
+                  return { 'id': id, 'dbutil_upsert_inserted': false };
+                })
+              };
+            }
+          });
+
+      return upsertDbc.upsert('site_user', [
+          { id: 1, email: 'a@example.com' },
+          { id: 2, name: 'Bob' },
+          { email: 'c@example.com', id: 3 }
+        ], { conflictColumns: ['id'], returning: ['id'] })
+        .then(function(results) {
+          expect(upsertDbc.__pool.client.queries.slice(1, 3)).to.deep.equal([
+            'INSERT INTO "site_user" ("id", "email") VALUES ($1, $2), ($3, $4) '
+              + 'ON CONFLICT ("id") DO UPDATE SET "email" = EXCLUDED."email" '
+              + 'RETURNING "id", (xmax = 0) AS "dbutil_upsert_inserted"',
+            'INSERT INTO "site_user" ("id", "name") VALUES ($1, $2) '
+              + 'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name" '
+              + 'RETURNING "id", (xmax = 0) AS "dbutil_upsert_inserted"'
+          ]);
+          expect(_.map(results, 'row.id')).to.deep.equal([1, 2, 3]);
+        });
+    });
+
+    it("should reject rows without any columns", function() {
+      return dbc.upsert('tag', [{ name: 'red' }, {}], { conflictColumns: ['name'], doNothing: true })
+        .should.be.rejectedWith(Error, 'at least one column');
+    });
+
+    it("should reject when there is nothing to update", function() {
+      return dbc.upsert('tag', { name: 'red' }, { conflictColumns: ['name'] })
+        .should.be.rejectedWith(Error, 'doNothing');
+    });
+
+    it("should reject a missing conflict target", function() {
+      return dbc.upsert('tag', { name: 'red' }, {})
+        .should.be.rejectedWith(Error, 'conflictColumns');
+    });
+
+  });
+
+
+
+  describe("introspect() suite", function() {
+    var rowSets = {
+          relations: [
+            { schema: 'crm', name: 'contact', type: 'BASE TABLE' },
+            { schema: 'crm', name: 'contact_view', type: 'VIEW' }
+          ],
+          columns: [
+            { schema: 'crm', table: 'contact', name: 'id', dataType: 'integer', udtSchema: 'pg_catalog',
+              udtName: 'int4', nullable: false, default: "nextval('crm.contact_id_seq'::regclass)" },
+            { schema: 'crm', table: 'contact', name: 'first_name', dataType: 'text', udtSchema: 'pg_catalog',
+              udtName: 'text', nullable: true, default: null },
+            { schema: 'crm', table: 'contact', name: 'tags', dataType: 'ARRAY', udtSchema: 'pg_catalog',
+              udtName: '_text', nullable: true, default: null },
+            { schema: 'crm', table: 'contact_view', name: 'id', dataType: 'integer', udtSchema: 'pg_catalog',
+              udtName: 'int4', nullable: true, default: null }
+          ],
+          constraints: [
+            { schema: 'crm', table: 'contact', name: 'contact_pkey', type: 'p', columns: ['id'] },
+            { schema: 'crm', table: 'contact', name: 'contact_company_id_fkey', type: 'f', columns: ['company_id'],
+              foreignSchema: 'crm', foreignTable: 'company', foreignColumns: ['id'], onUpdate: 'a', onDelete: 'c' }
+          ],
+          indexes: [
+            { schema: 'crm', table: 'contact', name: 'contact_pkey', columns: ['id'], isUnique: true, isPrimary: true,
+              definition: 'CREATE UNIQUE INDEX contact_pkey ON crm.contact USING btree (id)' }
+          ],
+          enums: [
+            { schema: 'crm', name: 'mood', values: ['sad', 'ok', 'happy'] }
+          ]
+        },
+        genIntrospectDbc = function genIntrospectDbc() {
+          var introspectDbc = new DatabaseConnection('test', { config: {} }),
+              queryKeys = _.keys(DatabaseConnection.__INTROSPECTION_QUERIES);
+
+          sinon.stub(introspectDbc, 'queryReturningMany', function(queryString) {
+            var key = _.find(queryKeys, function(k) {
+              return DatabaseConnection.__INTROSPECTION_QUERIES[k] === queryString;
+            });
+            return Promise.resolve(rowSets[key]);
+          });
+
+          return introspectDbc;
+        };
+
+    it("should assemble tables, views, keys, indexes and enums", function() {
+      var db = DatabaseConnection.__buildIntrospection(rowSets),
+          contact = db.tables['crm.contact'];
+
+      expect(_.keys(db.tables)).to.deep.equal(['crm.contact']);
+      expect(db.views['crm.contact_view'].columns.length).to.equal(1);
+      expect(_.map(contact.columns, 'isArray')).to.deep.equal([false, false, true]);
+      expect(contact.primaryKey).to.deep.equal(['id']);
+      expect(contact.foreignKeys[0].onUpdate).to.equal('NO ACTION');
+      expect(contact.foreignKeys[0].onDelete).to.equal('CASCADE');
+      expect(contact.indexes[0].isPrimary).to.be.true;
+      expect(db.enums['crm.mood'].values).to.deep.equal(['sad', 'ok', 'happy']);
+    });
+
+    it("should cache the result per set of schemas until refreshed", function() {
+      var introspectDbc = genIntrospectDbc(),
+          numQueries = _.size(DatabaseConnection.__INTROSPECTION_QUERIES);
+
+      return introspectDbc.introspect({ schemas: ['crm', 'public'] })
+        .then(function(db) {
+          expect(introspectDbc.queryReturningMany.firstCall.args[1]).to.deep.equal([['crm', 'public']]);
+          return introspectDbc.introspect({ schemas: ['public', 'crm'] });
+        })
+        .then(function() {
+          expect(introspectDbc.queryReturningMany.callCount).to.equal(numQueries);
+          return introspectDbc.introspect({ schemas: ['crm', 'public'], refresh: true });
+        })
+        .then(function() {
+          expect(introspectDbc.queryReturningMany.callCount).to.equal(numQueries * 2);
+        });
+    });
+
+    it("should build column maps from the catalog", function() {
+      var introspectDbc = genIntrospectDbc();
+
+      return introspectDbc.getColumnMap('crm.contact')
+        .then(function(columnMap) {
+          expect(columnMap).to.deep.equal({
+            'id': 'id',
+            'first_name': 'firstName',
+            'tags': 'tags'
+          });
+
+          return introspectDbc.getColumnMap('crm.nope');
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Table not found: 'crm.nope'");
+        });
+    });
+
+  });
+
+
+
+  describe("Query timeout and cancellation suite", function() {
+    var genCancellableClient = function genCancellableClient() {
+          return {
+            processID: 4242,
+            queries: [],
+            query: function(queryStr, args, callback) {
+              this.queries.push(queryStr);
+              this.pendingCallback = callback;
+            }
+          };
+        },
+        genCancelDbc = function genCancelDbc(client, config) {
+          var cancelDbc = new DatabaseConnection('test', { config: config || {} });
+
+          sinon.stub(cancelDbc, '__cancelQuery', function(c) {
+            var cancelErr = new Error('canceling statement due to user request');
+
+            cancelErr.code = '57014';
+            setImmediate(function() {
+              client.pendingCallback(cancelErr);
+            });
+            return Promise.resolve();
+          });
+
+          return cancelDbc;
+        };
+
+    it("should cancel a query that runs longer than timeoutMs", function() {
+      var client = genCancellableClient(),
+          cancelDbc = genCancelDbc(client);
+
+      return cancelDbc.query('SELECT pg_sleep(60)', [], client, { timeoutMs: 5 })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.QueryTimeoutError);
+          expect(err.timeoutMs).to.equal(5);
+          expect(err.originalError.code).to.equal('57014');
+          expect(cancelDbc.__cancelQuery.calledWith(client)).to.be.true;
+        });
+    });
+
+    it("should use the connection's default timeout", function() {
+      var client = genCancellableClient(),
+          cancelDbc = genCancelDbc(client, { queryTimeoutMs: 5 });
+
+      return cancelDbc.query('SELECT pg_sleep(60)', [], client)
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.QueryTimeoutError);
+        });
+    });
+
+    it("should not cancel queries that finish in time", function() {
+      var client = genCancellableClient(),
+          cancelDbc = genCancelDbc(client),
+          p = cancelDbc.query('SELECT 1', [], client, { timeoutMs: 1000 });
+
+      client.pendingCallback(null, { rows: [{ '?column?': 1 }] });
+
+      return p.then(function(result) {
+        expect(result.rows.length).to.equal(1);
+        expect(cancelDbc.__cancelQuery.called).to.be.false;
+      });
+    });
+
+    it("should cancel a query when its signal is aborted", function() {
+      var client = genCancellableClient(),
+          cancelDbc = genCancelDbc(client),
+          controller = new AbortController(),
+          p = cancelDbc.queryReturningMany('SELECT pg_sleep(60)', [], client, { signal: controller.signal });
+
+      controller.abort();
+
+      return p.then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err).to.be.an.instanceof(errors.QueryCancelledError);
+      });
+    });
+
+    it("should not send a query whose signal is already aborted", function() {
+      var client = genCancellableClient(),
+          cancelDbc = genCancelDbc(client),
+          controller = new AbortController();
+
+      controller.abort();
+
+      return cancelDbc.query('SELECT 1', [], client, { signal: controller.signal })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err).to.be.an.instanceof(errors.QueryCancelledError);
+          expect(client.queries).to.deep.equal([]);
+        });
+    });
+
+    it("should cancel with pg_cancel_backend() on a separate connection", function() {
+      var cancelClient = null;
+
+      function FakePgClient(connectionDetails) {
+        cancelClient = this;
+        this.connectionDetails = connectionDetails;
+        this.ended = false;
+      }
+      FakePgClient.prototype.connect = function(callback) {
+        callback(null);
+      };
+      FakePgClient.prototype.query = function(queryStr, args, callback) {
+        this.queryStr = queryStr;
+        this.args = args;
+        callback(null, {});
+      };
+      FakePgClient.prototype.end = function() {
+        this.ended = true;
+      };
+
+      return dbc.__DI_cancelQuery(FakePgClient, { host: 'db' }, 4242)
+        .then(function() {
+          expect(cancelClient.connectionDetails).to.deep.equal({ host: 'db' });
+          expect(cancelClient.queryStr).to.equal('SELECT pg_cancel_backend($1)');
+          expect(cancelClient.args).to.deep.equal([4242]);
+          expect(cancelClient.ended).to.be.true;
+        });
+    });
+
+    it("should give up on a cancel request that takes too long", function() {
+      var cancelClient = null;
+
+      function HangingPgClient() {
+        cancelClient = this;
+        this.ended = false;
+      }
+      HangingPgClient.prototype.connect = _.noop;
+      HangingPgClient.prototype.end = function() {
+        this.ended = true;
+      };
+
+      return dbc.__DI_cancelQuery(HangingPgClient, { host: 'db' }, 4242, 5)
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('The cancel request timed out after 5 ms.');
+          expect(cancelClient.ended).to.be.true;
+        });
+    });
+
+    it("should cancel on the server of the pool the client came from", function() {
+      var cancelDbc = new DatabaseConnection('test', { connection: { host: 'primary' }, config: {} }),
+          replicaPool = { options: { host: 'replica1' } },
+          replicaClient = { processID: 1 },
+          otherClient = { processID: 2 };
+
+      cancelDbc.__poolClients.set(replicaClient, replicaPool);
+      sinon.stub(cancelDbc, '__DI_cancelQuery', function() {
+        return Promise.resolve();
+      });
+
+      return Promise.all([cancelDbc.__cancelQuery(replicaClient), cancelDbc.__cancelQuery(otherClient)])
+        .then(function() {
+          expect(cancelDbc.__DI_cancelQuery.firstCall.args.slice(1, 3)).to.deep.equal([{ host: 'replica1' }, 1]);
+          expect(cancelDbc.__DI_cancelQuery.secondCall.args.slice(1, 3)).to.deep.equal([{ host: 'primary' }, 2]);
+        });
+    });
+
+  });
+
+
+
+  describe("Logging suite", function() {
+    var genLoggingDbc = function genLoggingDbc(loggingOptions) {
+          var loggingDbc = new DatabaseConnection('logtest', {
+                config: { logging: _.assign({ level: 'debug' }, loggingOptions) }
+              }),
+              entries = [];
+
+          loggingDbc.setLogger({
+            debug: function(message, fields) { entries.push({ level: 'debug', message: message, fields: fields }); },
+            info: function(message, fields) { entries.push({ level: 'info', message: message, fields: fields }); },
+            warn: function(message, fields) { entries.push({ level: 'warn', message: message, fields: fields }); },
+            error: function(message, fields) { entries.push({ level: 'error', message: message, fields: fields }); }
+          });
+
+          loggingDbc.entries = entries;
+          return loggingDbc;
+        };
+
+    afterEach(function() {
+      if (Math.random.restore) {
+        Math.random.restore();
+      }
+    });
+
+    it("should log queries with their duration and row count", function() {
+      var loggingDbc = genLoggingDbc({ logArgs: true }),
+          client = new MockClient({
+            fnResult: function() {
+              return { rowCount: 2, rows: [{ id: 1 }, { id: 2 }] };
+            }
+          });
+
+      return loggingDbc.query('SELECT id FROM site_user WHERE company_id = $1', [24], client)
+        .then(function() {
+          var entry = loggingDbc.entries[0];
+
+          expect(loggingDbc.entries.length).to.equal(1);
+          expect(entry.level).to.equal('debug');
+          expect(entry.message).to.equal('Query succeeded.');
+          expect(entry.fields.connection).to.equal('logtest');
+          expect(entry.fields.query).to.equal('SELECT id FROM site_user WHERE company_id = $1');
+          expect(entry.fields.args).to.deep.equal([24]);
+          expect(entry.fields.rowCount).to.equal(2);
+          expect(entry.fields.durationMs).to.be.a('number');
+          expect(entry.fields).to.not.have.property('rows');
+        });
+    });
+
+    it("should redact arguments by position and by name", function() {
+      var loggingDbc = genLoggingDbc({ redactArgs: [1] }),
+          client = new MockClient();
+
+      return loggingDbc.query('UPDATE site_user SET email = :email, password_hash = :passwordHash WHERE id = :id', {
+        email: 'someone@example.com',
+        passwordHash: 'abc123',
+        id: 7
+      }, client)
+        .then(function() {
+          expect(loggingDbc.entries[0].fields.args).to.deep.equal(['[REDACTED]', '[REDACTED]', 7]);
+        });
+    });
+
+    it("should hide positional arguments unless they are allowed", function() {
+      var loggingDbc = genLoggingDbc(),
+          client = new MockClient();
+
+      return loggingDbc.query('UPDATE site_user SET password = $1 WHERE id = $2', ['hunter2', 7], client)
+        .then(function() {
+          expect(loggingDbc.entries[0].fields.args).to.deep.equal(['[REDACTED]', '[REDACTED]']);
+          expect(loggingDbc.entries[0].fields.argCount).to.equal(2);
+        });
+    });
+
+    it("should include and truncate result rows when asked to", function() {
+      var loggingDbc = genLoggingDbc({ maxResultRows: 1, maxValueLength: 3 }),
+          client = new MockClient({
+            fnResult: function() {
+              return { rowCount: 2, rows: [{ name: 'Alice', token: 'xyz' }, { name: 'Bob', token: 'uvw' }] };
+            }
+          });
+
+      return loggingDbc.query('SELECT name, token FROM site_user', [], client)
+        .then(function() {
+          var fields = loggingDbc.entries[0].fields;
+
+          expect(fields.query).to.equal('SEL... [30 more characters]');
+          expect(fields.rows).to.deep.equal([{ name: 'Ali... [2 more characters]', token: '[REDACTED]' }]);
+          expect(fields.rowsTruncated).to.be.true;
+        });
+    });
+
+    it("should sample successful queries but always log failures", function() {
+      var loggingDbc = genLoggingDbc({ sampleRate: 0.1 }),
+          client = new MockClient({ failOn: ['BROKEN'] });
+
+      sinon.stub(Math, 'random', function() {
+        return 0.5;
+      });
+
+      return loggingDbc.query('SELECT 1', [], client)
+        .then(function() {
+          expect(loggingDbc.entries.length).to.equal(0);
+          return loggingDbc.query('BROKEN', [], client);
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(loggingDbc.entries.length).to.equal(1);
+          expect(loggingDbc.entries[0].message).to.equal('Query failed.');
+          expect(loggingDbc.entries[0].fields.error).to.equal('CLIENT_ERROR');
+        });
+    });
+
+    it("should not log queries below the configured level", function() {
+      var loggingDbc = genLoggingDbc({ level: 'info' }),
+          client = new MockClient();
+
+      return loggingDbc.query('SELECT 1', [], client)
+        .then(function() {
+          expect(loggingDbc.entries.length).to.equal(0);
+        });
+    });
+
+    it("should not let a failing logger break queries", function() {
+      var loggingDbc = genLoggingDbc(),
+          client = new MockClient();
+
+      loggingDbc.setLogger({
+        debug: function() {
+          throw new Error('Logger is broken');
+        }
+      });
+
+      return expect(loggingDbc.query('SELECT 1', [], client)).to.eventually.equal('OK');
+    });
+
+  });
+
+
+
+  describe("Query event suite", function() {
+    var genEventDbc = function genEventDbc(config) {
+          var eventDbc = new DatabaseConnection('eventtest', { config: config || {} });
+
+          eventDbc.events = [];
+          ['query:start', 'query:end', 'query:error', 'query:slow'].forEach(function(eventName) {
+            eventDbc.on(eventName, function(event) {
+              eventDbc.events.push({ name: eventName, event: event });
+            });
+          });
+
+          return eventDbc;
+        };
+
+    it("should emit query:start and query:end for queries on the pool", function() {
+      var eventDbc = genEventDbc(),
+          pool = new MockPgPool({
+            clientOptions: {
+              fnResult: function() {
+                return { rowCount: 3, rows: [] };
+              }
+            }
+          });
+
+      return eventDbc.__DI_simpleQuery(pool, {}, 'SELECT 1', [])
+        .then(function() {
+          var start = eventDbc.events[0],
+              end = eventDbc.events[1];
+
+          expect(_.map(eventDbc.events, 'name')).to.deep.equal(['query:start', 'query:end']);
+          expect(start.event).to.deep.equal({
+            queryId: end.event.queryId,
+            connection: 'eventtest',
+            sql: 'SELECT 1',
+            usedCallerClient: false
+          });
+          expect(end.event.sql).to.equal('SELECT 1');
+          expect(end.event.rowCount).to.equal(3);
+          expect(end.event.usedCallerClient).to.be.false;
+          expect(end.event.durationMs).to.be.a('number');
+          expect(end.event.poolWaitMs).to.be.a('number');
+        });
+    });
+
+    it("should emit query:error for failed queries on a caller's client", function() {
+      var eventDbc = genEventDbc(),
+          client = new MockClient({ throwError: true });
+
+      return eventDbc.__DI_queryWithClient({}, 'SELECT 1', [], client)
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          var errorEvent = eventDbc.events[1];
+
+          expect(_.map(eventDbc.events, 'name')).to.deep.equal(['query:start', 'query:error']);
+          expect(errorEvent.event.error).to.equal(err);
+          expect(errorEvent.event.usedCallerClient).to.be.true;
+          expect(errorEvent.event.poolWaitMs).to.equal(0);
+        });
+    });
+
+    it("should give each query its own id", function() {
+      var eventDbc = genEventDbc(),
+          client = new MockClient();
+
+      return eventDbc.__DI_queryWithClient({}, 'SELECT 1', [], client)
+        .then(function() {
+          return eventDbc.__DI_queryWithClient({}, 'SELECT 2', [], client);
+        })
+        .then(function() {
+          expect(eventDbc.events[0].event.queryId).to.not.equal(eventDbc.events[2].event.queryId);
+        });
+    });
+
+    it("should emit query:slow with the caller's stack for queries over the threshold", function() {
+      var eventDbc = genEventDbc({ slowQueryThresholdMs: 10 }),
+          client = {
+            query: function(queryStr, args, callback) {
+              setTimeout(function() {
+                callback(null, { rowCount: 0, rows: [] });
+              }, 20);
+            }
+          };
+
+      return eventDbc.query('SELECT pg_sleep(0.02)', [], client)
+        .then(function() {
+          var slow = eventDbc.events[2];
+
+          expect(_.map(eventDbc.events, 'name')).to.deep.equal(['query:start', 'query:end', 'query:slow']);
+          expect(slow.event.durationMs).to.be.at.least(10);
+          expect(slow.event.stack).to.contain('DatabaseConnection_test.js');
+        });
+    });
+
+    it("should not emit query:slow for fast queries", function() {
+      var eventDbc = genEventDbc({ slowQueryThresholdMs: 1000 }),
+          client = new MockClient();
+
+      return eventDbc.query('SELECT 1', [], client)
+        .then(function() {
+          expect(_.map(eventDbc.events, 'name')).to.deep.equal(['query:start', 'query:end']);
+        });
+    });
+
+    it("should not let listeners that throw affect the query or other listeners", function() {
+      var eventDbc = new DatabaseConnection('eventtest', { config: { logging: { level: 'error' } } }),
+          client = new MockClient(),
+          onceListener = sinon.spy(),
+          otherListener = sinon.spy();
+
+      eventDbc.on('query:end', function() {
+        throw new Error('Listener is broken');
+      });
+      eventDbc.once('query:end', onceListener);
+      eventDbc.on('query:end', otherListener);
+
+      return eventDbc.query('SELECT 1', [], client)
+        .then(function(result) {
+          expect(result).to.equal('OK');
+          return eventDbc.query('SELECT 1', [], client);
+        })
+        .then(function() {
+          expect(onceListener.calledOnce).to.be.true;
+          expect(otherListener.calledTwice).to.be.true;
+        });
+    });
+
+  });
+
+
+
+  describe("Pool statistics and shutdown suite", function() {
+    var savedConnections,
+        genFakePool = function genFakePool() {
+          var pool = {
+                pool: {
+                  getPoolSize: function() { return 3; },
+                  availableObjectsCount: function() { return 1; },
+                  waitingClientsCount: function() { return 2; },
+                  getMaxPoolSize: function() { return 20; },
+                  destroy: sinon.spy(function() {
+                    pool.finishEnding();
+                  })
+                },
+                end: sinon.spy(function() {
+                  return new Promise(function(resolve) {
+                    pool.finishEnding = resolve;
+                  });
+                })
+              };
+
+          return pool;
+        },
+        genClosingDbc = function genClosingDbc(name) {
+          var closingDbc = new DatabaseConnection(name, { connection: {}, config: { logging: { level: 'error' } } });
+
+          closingDbc.__pool = genFakePool();
+          DatabaseConnection.__connections[name] = closingDbc;
+          return closingDbc;
+        };
+
+    beforeEach(function() {
+      savedConnections = DatabaseConnection.__connections;
+      DatabaseConnection.__connections = {};
+    });
+
+    afterEach(function() {
+      DatabaseConnection.__connections = savedConnections;
+    });
+
+    it("should report the pool's clients", function() {
+      var statsDbc = new DatabaseConnection('test', {});
+
+      statsDbc.__pool = genFakePool();
+      expect(statsDbc.getPoolStats()).to.deep.equal({ total: 3, idle: 1, waiting: 2, max: 20, replicas: [] });
+    });
+
+    it("should report the clients of pools with public counts", function() {
+      var statsDbc = new DatabaseConnection('test', { connection: { max: 5 } });
+
+      statsDbc.__pool = { totalCount: 4, idleCount: 2, waitingCount: 0, options: { max: 8 } };
+      expect(statsDbc.getPoolStats()).to.deep.equal({ total: 4, idle: 2, waiting: 0, max: 8, replicas: [] });
+    });
+
+    it("should report an empty pool for pools it can't read", function() {
+      var statsDbc = new DatabaseConnection('test', { connection: { max: 5 } });
+
+      statsDbc.__pool = { pool: {} };
+      expect(statsDbc.getPoolStats()).to.deep.equal({ total: 0, idle: 0, waiting: 0, max: 5, replicas: [] });
+    });
+
+    it("should report an empty pool for connections that haven't started", function() {
+      var statsDbc = new DatabaseConnection('test', { connection: { max: 5 } });
+
+      expect(statsDbc.getPoolStats()).to.deep.equal({ total: 0, idle: 0, waiting: 0, max: 5, replicas: [] });
+    });
+
+    it("should end the pool, leave the registry and reject new queries", function() {
+      var closingDbc = genClosingDbc('closeTest'),
+          pool = closingDbc.__pool,
+          closing = closingDbc.close();
+
+      pool.finishEnding();
+
+      return closing
+        .then(function() {
+          expect(pool.end.calledOnce).to.be.true;
+          expect(pool.pool.destroy.called).to.be.false;
+          expect(DatabaseConnection.__connections).to.not.have.property('closeTest');
+          expect(closingDbc.close()).to.equal(closing);
+
+          return closingDbc.query('SELECT 1');
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Connection 'closeTest' has been closed.");
+          expect(closingDbc.getPoolStats().total).to.equal(0);
+        });
+    });
+
+    it("should disconnect clients still in use at the deadline", function() {
+      var closingDbc = genClosingDbc('closeTest'),
+          pool = closingDbc.__pool,
+          client = {};
+
+      closingDbc.__poolClients.set(client, pool);
+
+      return closingDbc.close({ timeoutMillis: 5 })
+        .then(function() {
+          expect(pool.pool.destroy.calledWith(client)).to.be.true;
+          expect(closingDbc.__poolClients.size).to.equal(0);
+        });
+    });
+
+    it("should finish closing at the deadline even if a client is never released", function() {
+      var closingDbc = genClosingDbc('closeTest'),
+          pool = { end: sinon.spy(function() { return new Promise(_.noop); }) },
+          client = { end: sinon.spy() };
+
+      closingDbc.__pool = pool;
+      closingDbc.__poolClients.set(client, pool);
+
+      return closingDbc.close({ timeoutMillis: 5 })
+        .then(function() {
+          expect(pool.end.calledOnce).to.be.true;
+          expect(client.end.calledOnce).to.be.true;
+          expect(closingDbc.__poolClients.size).to.equal(0);
+        });
+    });
+
+    it("should close every registered connection", function() {
+      var pools = [genClosingDbc('first').__pool, genClosingDbc('second').__pool],
+          closing = DatabaseConnection.closeAll();
+
+      pools.forEach(function(pool) {
+        pool.finishEnding();
+      });
+
+      return closing.then(function() {
+        expect(DatabaseConnection.__connections).to.deep.equal({});
+      });
+    });
+
+    it("should build a fresh connection after one is closed", function() {
+      var config = { connection: { host: 'localhost', database: 'nothing' }, config: {} },
+          first = DatabaseConnection.getConnection('closeTest', 'standalone', config);
+
+      return first.close()
+        .then(function() {
+          var second = DatabaseConnection.getConnection('closeTest', 'standalone', config);
+
+          expect(second).to.not.equal(first);
+          return second.close();
+        });
+    });
+
+  });
+
+
+
+  describe("Connection config resolution suite", function() {
+    var genLoader = function genLoader(files) {
+          return sinon.spy(function(filename) {
+            return files[filename] || null;
+          });
+        };
+
+    afterEach(function() {
+      DatabaseConnection.setConfigSearchDirs(null);
+    });
+
+    it("should parse connection strings", function() {
+      expect(DatabaseConnection.__parseConnectionString('postgres://app:p%40ss:word@db.example.com:6543/my%20db?ssl=true')).to.deep.equal({
+        host: 'db.example.com',
+        port: 6543,
+        database: 'my db',
+        user: 'app',
+        password: 'p@ss:word',
+        ssl: true
+      });
+
+      expect(DatabaseConnection.__parseConnectionString('postgresql:///app?host=/var/run/postgresql')).to.deep.equal({
+        host: '/var/run/postgresql',
+        database: 'app'
+      });
+
+      expect(function() {
+        DatabaseConnection.__parseConnectionString('mysql://localhost/app');
+      }).to.throw(/must start with/);
+    });
+
+    it("should use the connection's own environment variables on their own", function() {
+      var loader = genLoader({}),
+          config = DatabaseConnection.__DI_resolveConnectionConfig({
+            'DBUTIL_REPORTING_DB_URL': 'postgres://app@db.example.com/reports',
+            'DBUTIL_REPORTING_DB_PASSWORD': 'secret',
+            'DBUTIL_REPORTING_DB_MAX': '20'
+          }, loader, 'reporting-db', 'standalone');
+
+      expect(config).to.deep.equal({
+        connection: {
+          host: 'db.example.com',
+          database: 'reports',
+          user: 'app',
+          password: 'secret',
+          max: 20
+        },
+        config: {}
+      });
+    });
+
+    it("should override the config file one field at a time with environment variables", function() {
+      var fileConfig = { connection: { host: 'db', database: 'main', user: 'app' }, config: { verbose: true } },
+          config;
+
+      DatabaseConnection.setConfigSearchDirs(['/etc/app']);
+      config = DatabaseConnection.__DI_resolveConnectionConfig({
+        'DBUTIL_MAIN_PASSWORD': 'secret',
+        'DBUTIL_MAIN_HOST': 'db2'
+      }, genLoader({ '/etc/app/main.js': fileConfig }), 'main', 'standalone');
+
+      expect(config).to.deep.equal({
+        connection: { host: 'db2', database: 'main', user: 'app', password: 'secret' },
+        config: { verbose: true }
+      });
+      expect(fileConfig.connection).to.deep.equal({ host: 'db', database: 'main', user: 'app' });
+    });
+
+    it("should override DATABASE_URL with environment variables", function() {
+      var config = DatabaseConnection.__DI_resolveConnectionConfig({
+            'DBUTIL_MAIN_PASSWORD': 'secret',
+            'DATABASE_URL': 'postgres://app@localhost/app'
+          }, genLoader({}), 'main', 'standalone');
+
+      expect(config).to.deep.equal({
+        connection: { host: 'localhost', database: 'app', user: 'app', password: 'secret' },
+        config: {}
+      });
+    });
+
+    it("should reject invalid numbers in environment variables", function() {
+      expect(function() {
+        DatabaseConnection.__DI_resolveConnectionConfig({ 'DBUTIL_MAIN_PORT': 'abc' }, genLoader({}), 'main', 'standalone');
+      }).to.throw("Invalid value for DBUTIL_MAIN_PORT: 'abc'");
+    });
+
+    it("should search the config directories in order", function() {
+      var fileConfig = { connection: { host: 'second' }, config: {} },
+          loader = genLoader({ '/etc/second/main.js': fileConfig }),
+          config;
+
+      DatabaseConnection.setConfigSearchDirs(['/etc/first', '/etc/second', '/etc/third']);
+      config = DatabaseConnection.__DI_resolveConnectionConfig({ 'DATABASE_URL': 'postgres://other/other' }, loader, 'main', 'standalone');
+
+      expect(config).to.equal(fileConfig);
+      expect(loader.args).to.deep.equal([['/etc/first/main.js'], ['/etc/second/main.js']]);
+    });
+
+    it("should take the search directories from DBUTIL_CONFIG_DIRS", function() {
+      var loader = genLoader({});
+
+      expect(function() {
+        DatabaseConnection.__DI_resolveConnectionConfig({ 'DBUTIL_CONFIG_DIRS': '/a/config' + path.delimiter + '/b/config' }, loader, 'main', 'standalone');
+      }).to.throw();
+      expect(loader.args).to.deep.equal([['/a/config/main.js'], ['/b/config/main.js']]);
+    });
+
+    it("should fall back on DATABASE_URL", function() {
+      var config = DatabaseConnection.__DI_resolveConnectionConfig({ 'DATABASE_URL': 'postgres://localhost/app' }, genLoader({}), 'main', 'standalone');
+
+      expect(config).to.deep.equal({ connection: { host: 'localhost', database: 'app' }, config: {} });
+    });
+
+    it("should list every place it looked when nothing is found", function() {
+      DatabaseConnection.setConfigSearchDirs(['/etc/first', '/etc/second']);
+
+      expect(function() {
+        DatabaseConnection.__DI_resolveConnectionConfig({}, genLoader({}), 'main', 'standalone');
+      }).to.throw([
+        "No configuration found for connection 'main'. Looked in:",
+        "  - environment variables DBUTIL_MAIN_URL, DBUTIL_MAIN_HOST, etc.",
+        "  - file /etc/first/main.js",
+        "  - file /etc/second/main.js",
+        "  - environment variable DATABASE_URL"
+      ].join('\n'));
+    });
+
+  });
+
+
+
+  describe("getConnection() validation suite", function() {
+    var savedConnections;
+
+    beforeEach(function() {
+      savedConnections = DatabaseConnection.__connections;
+      DatabaseConnection.__connections = {};
+    });
+
+    afterEach(function() {
+      DatabaseConnection.__connections = savedConnections;
+    });
+
+    it("should reject invalid configs before starting a pool", function() {
+      expect(function() {
+        DatabaseConnection.getConnection('invalid', 'standalone', { connection: { database: 'app', max: 'ten' } });
+      }).to.throw(errors.ConfigValidationError, 'connection.max is not of a type(s) integer');
+      expect(DatabaseConnection.__connections).to.deep.equal({});
+    });
+
+    it("should fill in defaults and log warnings", function() {
+      var warnings = [],
+          validDbc = DatabaseConnection.getConnection('valid', 'standalone', {
+            connection: { database: 'app', idleTimeoutMilis: 1000 },
+            config: {
+              logger: {
+                warn: function(message, fields) {
+                  warnings.push(message);
+                }
+              }
+            }
+          });
+
+      expect(validDbc.__config.config.verbose).to.be.false;
+      expect(validDbc.__config.connection.max).to.equal(10);
+      expect(warnings).to.deep.equal(["Unknown key 'connection.idleTimeoutMilis'. Did you mean 'idleTimeoutMillis'?"]);
+
+      return validDbc.close();
+    });
+
+  });
+
+
+
+  describe("Read replica suite", function() {
+    var genReplicaDbc = function genReplicaDbc(replicaPools) {
+          var replicaDbc = new DatabaseConnection('replicatest', { config: { logging: { level: 'error' } } });
+
+          replicaDbc.__pool = new MockPgPool({ clientOptions: {} });
+          replicaDbc.__replicas = replicaPools.map(function(pool, index) {
+            return { index: index, host: 'replica' + index, pool: pool, unhealthyUntil: 0 };
+          });
+
+          return replicaDbc;
+        },
+        genUnreachablePool = function genUnreachablePool() {
+          return {
+            connect: sinon.spy(function() {
+              var err = new Error('connect ECONNREFUSED');
+
+              err.code = 'ECONNREFUSED';
+              return Promise.reject(err);
+            })
+          };
+        };
+
+    it("should send read-only queries to the replicas in turn", function() {
+      var replicaPools = [new MockPgPool({ clientOptions: {} }), new MockPgPool({ clientOptions: {} })],
+          replicaDbc = genReplicaDbc(replicaPools),
+          primaryPool = replicaDbc.__pool;
+
+      return replicaDbc.queryReturningMany('SELECT 1')
+        .then(function() {
+          expect(replicaPools[0].client.queries).to.deep.equal(['SELECT 1']);
+          return replicaDbc.squelQueryReturningMany(replicaDbc.getSquelSelect().from('site_user').toParam());
+        })
+        .then(function() {
+          expect(replicaPools[1].client.queries).to.deep.equal(['SELECT * FROM site_user']);
+          return replicaDbc.queryReturningMany('WITH x AS (SELECT 1) SELECT * FROM x');
+        })
+        .then(function() {
+          expect(replicaPools[0].client.queries).to.deep.equal(['WITH x AS (SELECT 1) SELECT * FROM x']);
+          expect(primaryPool.client).to.be.null;
+        });
+    });
+
+    it("should keep writes, usePrimary, passed-in clients and plain query() on the primary", function() {
+      var replicaPool = new MockPgPool({ clientOptions: {} }),
+          replicaDbc = genReplicaDbc([replicaPool]),
+          client = new MockClient();
+
+      return replicaDbc.queryReturningMany('INSERT INTO site_user DEFAULT VALUES RETURNING id')
+        .then(function() {
+          expect(replicaDbc.__pool.client.queries).to.deep.equal(['INSERT INTO site_user DEFAULT VALUES RETURNING id']);
+          return replicaDbc.queryReturningMany('SELECT * FROM site_user FOR UPDATE');
+        })
+        .then(function() {
+          return replicaDbc.queryReturningMany('SELECT 1', [], null, { usePrimary: true });
+        })
+        .then(function() {
+          return replicaDbc.queryReturningMany('SELECT 2', [], client);
+        })
+        .then(function() {
+          return replicaDbc.query('SELECT 3');
+        })
+        .then(function() {
+          expect(client.queries).to.deep.equal(['SELECT 2']);
+          expect(replicaPool.client).to.be.null;
+        });
+    });
+
+    it("should take unreachable replicas out of rotation and retry on the primary", function() {
+      var unreachablePool = genUnreachablePool(),
+          replicaPool = new MockPgPool({ clientOptions: {} }),
+          replicaDbc = genReplicaDbc([unreachablePool, replicaPool]);
+
+      return replicaDbc.queryReturningMany('SELECT 1')
+        .then(function() {
+          expect(replicaDbc.__pool.client.queries).to.deep.equal(['SELECT 1']);
+          expect(replicaDbc.getPoolStats().replicas[0].healthy).to.be.false;
+
+          return replicaDbc.queryReturningMany('SELECT 2');
+        })
+        .then(function() {
+          return replicaDbc.queryReturningMany('SELECT 3');
+        })
+        .then(function() {
+          expect(unreachablePool.connect.calledOnce).to.be.true;
+          expect(replicaPool.client.queries).to.deep.equal(['SELECT 3']);
+        });
+    });
+
+    it("should put replicas back in rotation after the retry delay", function() {
+      var unreachablePool = genUnreachablePool(),
+          replicaDbc = genReplicaDbc([unreachablePool]);
+
+      replicaDbc.__config.config.replicaRetryDelayMs = 0;
+
+      return replicaDbc.queryReturningMany('SELECT 1')
+        .then(function() {
+          return replicaDbc.queryReturningMany('SELECT 2');
+        })
+        .then(function() {
+          expect(unreachablePool.connect.calledTwice).to.be.true;
+        });
+    });
+
+    it("should not retry queries that fail for other reasons", function() {
+      var replicaPool = new MockPgPool({ clientOptions: { throwError: true } }),
+          replicaDbc = genReplicaDbc([replicaPool]);
+
+      return replicaDbc.queryReturningMany('SELECT 1')
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(replicaDbc.__pool.client).to.be.null;
+          expect(replicaDbc.getPoolStats().replicas[0].healthy).to.be.true;
+        });
+    });
+
+  });
+
+
+
+  describe("Tenant view suite", function() {
+    var genTenantDbc = function genTenantDbc(clientOptions) {
+          var tenantDbc = new DatabaseConnection('tenanttest', { config: {} });
+
+          tenantDbc.__pool = new MockPgPool({ clientOptions: clientOptions || {} });
+          return tenantDbc;
+        };
+
+    it("should set and reset search_path around queries", function() {
+      var tenantDbc = genTenantDbc(),
+          acme = tenantDbc.forTenant('acme');
+
+      return acme.queryReturningMany('SELECT * FROM invoice')
+        .delay(0)
+        .then(function() {
+          var client = tenantDbc.__pool.client;
+
+          expect(client.queries).to.deep.equal([
+            'SET search_path TO "acme"',
+            'SELECT * FROM invoice',
+            'RESET search_path'
+          ]);
+          expect(client.releaseCount).to.equal(1);
+          expect(client.releaseErr).to.be.undefined;
+        });
+    });
+
+    it("should leave the connection it came from alone", function() {
+      var tenantDbc = genTenantDbc();
+
+      tenantDbc.forTenant('acme');
+
+      return tenantDbc.query('SELECT 1')
+        .then(function() {
+          expect(tenantDbc.__pool.client.queries).to.deep.equal(['SELECT 1']);
+        });
+    });
+
+    it("should keep search_path for the whole transaction", function() {
+      var tenantDbc = genTenantDbc(),
+          acme = tenantDbc.forTenant('acme', { extraSchemas: ['public'] });
+
+      return acme.withTransaction(function(client) {
+        return acme.query('UPDATE invoice SET status = $1', ['closed'], client);
+      })
+        .delay(0)
+        .then(function() {
+          var client = tenantDbc.__pool.client;
+
+          expect(client.queries).to.deep.equal([
+            'SET search_path TO "acme", "public"',
+            'BEGIN',
+            'UPDATE invoice SET status = $1',
+            'COMMIT',
+            'RESET search_path'
+          ]);
+          expect(client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should set search_path on clients from getClient()", function() {
+      var tenantDbc = genTenantDbc(),
+          acme = tenantDbc.forTenant('acme');
+
+      return acme.getClient()
+        .then(function(client) {
+          expect(client.queries).to.deep.equal(['SET search_path TO "acme"']);
+          client.release();
+        })
+        .delay(0)
+        .then(function() {
+          expect(tenantDbc.__pool.client.queries).to.deep.equal(['SET search_path TO "acme"', 'RESET search_path']);
+          expect(tenantDbc.__pool.client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should destroy clients whose search_path can't be reset", function() {
+      var tenantDbc = genTenantDbc({ failOn: ['RESET'] }),
+          acme = tenantDbc.forTenant('acme');
+
+      return acme.query('SELECT 1')
+        .delay(0)
+        .then(function() {
+          expect(tenantDbc.__pool.client.releaseErr).to.be.an.instanceof(Error);
+        });
+    });
+
+    it("should release the client and reject if search_path can't be set", function() {
+      var tenantDbc = genTenantDbc({ failOn: ['SET'] }),
+          acme = tenantDbc.forTenant('acme');
+
+      return acme.query('SELECT 1')
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          var client = tenantDbc.__pool.client;
+
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(client.queries).to.deep.equal(['SET search_path TO "acme"']);
+          expect(client.releaseErr).to.equal(err);
+        });
+    });
+
+    it("should validate schema names", function() {
+      var tenantDbc = genTenantDbc();
+
+      ['', 'acme; DROP TABLE invoice', 'a.b', 'Ωmega', null].forEach(function(schema) {
+        expect(function() {
+          tenantDbc.forTenant(schema);
+        }).to.throw(/Invalid tenant schema name/);
+      });
+
+      expect(function() {
+        tenantDbc.forTenant('acme', { extraSchemas: ['pub"lic'] });
+      }).to.throw(/Invalid tenant schema name/);
+    });
+
+    it("should reuse views, and build them from the original connection", function() {
+      var tenantDbc = genTenantDbc(),
+          acme = tenantDbc.forTenant('acme');
+
+      expect(tenantDbc.forTenant('acme')).to.equal(acme);
+      expect(acme.forTenant('globex').__tenantParent).to.equal(tenantDbc);
+      expect(tenantDbc.forTenant('acme', { extraSchemas: ['public'] })).to.not.equal(acme);
+    });
+
+    it("should use the pool the connection it came from has at the time", function() {
+      var tenantDbc = new DatabaseConnection('tenanttest', { config: {} }),
+          acme = tenantDbc.forTenant('acme');
+
+      expect(acme.__pool).to.be.null;
+
+      tenantDbc.__pool = new MockPgPool({});
+      tenantDbc.__pool.end = function() {
+        return Promise.resolve();
+      };
+
+      return acme.query('SELECT 1')
+        .then(function() {
+          expect(tenantDbc.__pool.client.queries[0]).to.equal('SET search_path TO "acme"');
+          return tenantDbc.close();
+        })
+        .then(function() {
+          return acme.query('SELECT 1');
+        })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Connection 'tenanttest' has been closed.");
+        });
+    });
+
+  });
+
+
+
+  describe("Session context suite", function() {
+    var genContextDbc = function genContextDbc(config, clientOptions) {
+          var contextDbc = new DatabaseConnection('contexttest', { config: config || {} });
+
+          contextDbc.__pool = new MockPgPool({ clientOptions: clientOptions || {} });
+          return contextDbc;
+        };
+
+    it("should apply the context in a transaction around pooled queries", function() {
+      var contextDbc = genContextDbc(),
+          args = [];
+
+      contextDbc.__pool.getClient = function(options) {
+        var client = new MockClient(options),
+            query = client.query;
+
+        client.query = function(queryStr, queryArgs, callback) {
+          args.push(queryArgs);
+          return query.call(this, queryStr, queryArgs, callback);
+        };
+
+        return client;
+      };
+
+      return contextDbc.query('SELECT * FROM invoice', [], null, {
+        sessionContext: { 'app.user_id': 7, 'app.company_id': 24 }
+      })
+        .then(function(result) {
+          var client = contextDbc.__pool.client;
+
+          expect(result).to.equal('OK');
+          expect(client.queries).to.deep.equal([
+            'BEGIN',
+            'SELECT set_config($1, $2, true), set_config($3, $4, true)',
+            'SELECT * FROM invoice',
+            'COMMIT'
+          ]);
+          expect(args[1]).to.deep.equal(['app.company_id', '24', 'app.user_id', '7']);
+          expect(client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should roll back and release the client if the query fails", function() {
+      var contextDbc = genContextDbc({}, { failOn: ['SELECT * FROM'] });
+
+      return contextDbc.query('SELECT * FROM invoice', [], null, { sessionContext: { 'app.user_id': 7 } })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          var client = contextDbc.__pool.client;
+
+          expect(err.message).to.equal('CLIENT_ERROR');
+          expect(_.last(client.queries)).to.equal('ROLLBACK');
+          expect(client.releaseCount).to.equal(1);
+        });
+    });
+
+    it("should open a transaction on a caller's client that isn't in one", function() {
+      var contextDbc = genContextDbc(),
+          client = new MockClient();
+
+      return contextDbc.queryReturningMany('SELECT 1', [], client, { sessionContext: { 'app.user_id': 7 } })
+        .then(function() {
+          expect(client.queries).to.deep.equal(['BEGIN', 'SELECT set_config($1, $2, true)', 'SELECT 1', 'COMMIT']);
+          expect(client.releaseWasCalled).to.be.false;
+          expect(contextDbc.__pool.client).to.be.null;
+        });
+    });
+
+    it("should use a savepoint on a caller's client that is in a transaction", function() {
+      var contextDbc = genContextDbc(),
+          client = new MockClient();
+
+      return contextDbc.withTransaction(function(c) {
+        return contextDbc.query('SELECT 1', [], c, { sessionContext: { 'app.user_id': 7 } });
+      }, { client: client })
+        .then(function() {
+          expect(client.queries[1]).to.match(/^SAVEPOINT /);
+          expect(client.queries[2]).to.equal('SELECT set_config($1, $2, true)');
+        });
+    });
+
+    it("should reject invalid setting names", function() {
+      var contextDbc = genContextDbc();
+
+      return contextDbc.query('SELECT 1', [], null, { sessionContext: { 'user_id': 7 } })
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal("Invalid session context setting name: 'user_id'");
+          expect(contextDbc.__pool.client).to.be.null;
+        });
+    });
+
+    it("should format values as text", function() {
+      var query = DatabaseConnection.__buildSessionContextQuery({
+            'app.a': null,
+            'app.b': new Date(Date.UTC(2020, 0, 2)),
+            'app.c': { roles: ['admin'] },
+            'app.d': true
+          });
+
+      expect(query.values).to.deep.equal([
+        'app.a', '',
+        'app.b', '2020-01-02T00:00:00.000Z',
+        'app.c', '{"roles":["admin"]}',
+        'app.d', 'true'
+      ]);
+    });
+
+    it("should make runBasicService's context from userData", function() {
+      var contextDbc = genContextDbc({ sessionContextFromUserData: { 'app.user_id': 'id', 'app.company_id': 'company.id' } }),
+          args = [],
+          fnQueryMany = sinon.spy(function() {
+            return Promise.resolve([]);
+          });
+
+      contextDbc.__pool.getClient = function(options) {
+        var client = new MockClient(options),
+            query = client.query;
+
+        client.query = function(queryStr, queryArgs, callback) {
+          args.push(queryArgs);
+          return query.call(this, queryStr, queryArgs, callback);
+        };
+        return client;
+      };
+
+      return contextDbc.__DI_runBasicService({
+        userData: { id: 7, company: { id: 24 } },
+        req: {},
+        fnValidate: function() { return true; },
+        fnMakeQuery: function() { return { text: 'SELECT 1', values: [] }; },
+        oneOrMany: 'many'
+      }, null, fnQueryMany)
+        .then(function() {
+          var client = contextDbc.__pool.client;
+
+          expect(client.queries).to.deep.equal(['BEGIN', 'SELECT set_config($1, $2, true), set_config($3, $4, true)', 'COMMIT']);
+          expect(args[1]).to.deep.equal(['app.company_id', '24', 'app.user_id', '7']);
+          expect(fnQueryMany.args[0][1]).to.equal(client);
+        });
+    });
+
+    it("should run runBasicService's fnDbValidate with the context applied", function() {
+      var contextDbc = genContextDbc(),
+          client = new MockClient(),
+          fnDbValidate = sinon.spy(function(userData, req, c) {
+            expect(c.queries).to.deep.equal(['BEGIN', 'SELECT set_config($1, $2, true)']);
+            return Promise.resolve();
+          }),
+          fnQueryOne = sinon.spy(function() {
+            return Promise.resolve({});
+          });
+
+      return contextDbc.__DI_runBasicService({
+        userData: { id: 7 },
+        sessionContext: { 'app.user_id': 7 },
+        req: {},
+        client: client,
+        fnValidate: function() { return true; },
+        fnDbValidate: fnDbValidate,
+        fnMakeQuery: function() { return { text: 'SELECT 1', values: [] }; },
+        oneOrMany: 'one'
+      }, fnQueryOne)
+        .then(function() {
+          expect(fnDbValidate.args[0][2]).to.equal(client);
+          expect(fnQueryOne.args[0][1]).to.equal(client);
+          expect(client.queries).to.deep.equal(['BEGIN', 'SELECT set_config($1, $2, true)', 'COMMIT']);
+        });
+    });
+
+    it("should reject if runBasicService's context can't be made", function() {
+      var contextDbc = genContextDbc({ sessionContextFromUserData: function() { throw new Error('NO_COMPANY'); } }),
+          fnQueryOne = sinon.spy();
+
+      return contextDbc.__DI_runBasicService({
+        userData: { id: 7 },
+        req: {},
+        fnValidate: function() { return true; },
+        fnMakeQuery: function() { return { text: 'SELECT 1', values: [] }; },
+        oneOrMany: 'one'
+      }, fnQueryOne)
+        .then(function() {
+          assert.fail();
+        }, function(err) {
+          expect(err.message).to.equal('NO_COMPANY');
+          expect(fnQueryOne.called).to.be.false;
+          expect(contextDbc.__pool.client).to.be.null;
+        });
+    });
+
+    it("should prefer runBasicService's explicit context", function() {
+      var contextDbc = genContextDbc({ sessionContextFromUserData: function(userData) { return { 'app.user_id': userData.id }; } }),
+          fnQueryMany = sinon.spy(function() {
+            return Promise.resolve([]);
+          });
+
+      return contextDbc.__DI_runBasicService({
+        userData: { id: 7 },
+        sessionContext: { 'app.user_id': 8 },
+        req: {},
+        fnValidate: function() { return true; },
+        fnMakeQuery: function() { return { text: 'SELECT 1', values: [] }; },
+        oneOrMany: 'many'
+      }, null, fnQueryMany)
+        .then(function() {
+          expect(contextDbc.__pool.client.queries).to.deep.equal(['BEGIN', 'SELECT set_config($1, $2, true)', 'COMMIT']);
+        });
+    });
+
+  });
   
 });
\ No newline at end of file
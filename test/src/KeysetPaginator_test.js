@@ -0,0 +1,162 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var assert = chai.assert;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var DatabaseConnection = require('../../index.js').DatabaseConnection;
+
+describe('KeysetPaginator unit test suite', function() {
+  var dbc, squelQuery, genResult;
+
+  genResult = function genResult(ids) {
+    return {
+      rows: ids.map(function(id) {
+        return { 'id': id, 'created_at': 100 - id };
+      })
+    };
+  };
+
+  beforeEach(function() {
+    dbc = new DatabaseConnection('test', {});
+    squelQuery = sinon.stub(dbc, 'squelQuery');
+  });
+
+  it("should fetch one extra row to find out whether there is a next page", function() {
+    var paginator = dbc.newKeysetPaginator([{ column: 'u.created_at', direction: 'desc' }], { primaryKey: 'u.id' }),
+        q = dbc.getSquelSelect().from('site_user', 'u').where('u.company_id = ?', 24);
+
+    squelQuery.returns(Promise.resolve(genResult([1, 2, 3])));
+
+    return paginator.paginate(q, null, 2)
+      .then(function(page) {
+        var sent = squelQuery.firstCall.args[0];
+
+        expect(sent.text).to.equal('SELECT * FROM site_user AS "u" WHERE (u.company_id = $1) ORDER BY u.created_at DESC, u.id ASC LIMIT $2');
+        expect(sent.values).to.deep.equal([24, 3]);
+        expect(_.map(page.rows, 'id')).to.deep.equal([1, 2]);
+        expect(page.nextCursor).to.be.a('string');
+        expect(page.prevCursor).to.be.null;
+        expect(q.toParam().text).to.not.match(/ORDER BY/);
+      });
+  });
+
+  it("should rebuild the WHERE clause from a cursor for mixed directions", function() {
+    var paginator = dbc.newKeysetPaginator([{ column: 'u.created_at', direction: 'desc' }, 'u.id']),
+        q = dbc.getSquelSelect().from('site_user', 'u');
+
+    squelQuery.returns(Promise.resolve(genResult([1, 2, 3])));
+
+    return paginator.paginate(q, null, 2)
+      .then(function(page) {
+        squelQuery.returns(Promise.resolve(genResult([3, 4])));
+        return paginator.paginate(q, page.nextCursor, 2);
+      })
+      .then(function(page) {
+        var sent = squelQuery.secondCall.args[0];
+
+        expect(sent.text).to.equal(
+          'SELECT * FROM site_user AS "u" WHERE ((u.created_at < $1) OR (u.created_at = $2 AND u.id > $3)) '
+          + 'ORDER BY u.created_at DESC, u.id ASC LIMIT $4'
+        );
+        expect(sent.values).to.deep.equal([98, 98, 2, 3]);
+        expect(_.map(page.rows, 'id')).to.deep.equal([3, 4]);
+        expect(page.nextCursor).to.be.null;
+        expect(page.prevCursor).to.be.a('string');
+      });
+  });
+
+  it("should page backward with the order flipped and the rows put back in order", function() {
+    var paginator = dbc.newKeysetPaginator(['u.id']),
+        q = dbc.getSquelSelect().from('site_user', 'u');
+
+    squelQuery.returns(Promise.resolve(genResult([5, 6, 7])));
+
+    return paginator.paginate(q, null, 2)
+      .then(function(page) {
+        squelQuery.returns(Promise.resolve(genResult([7, 8])));
+        return paginator.paginate(q, page.nextCursor, 2);
+      })
+      .then(function(page) {
+        squelQuery.returns(Promise.resolve(genResult([6, 5, 4])));
+        return paginator.paginate(q, page.prevCursor, 2);
+      })
+      .then(function(page) {
+        var sent = squelQuery.thirdCall.args[0];
+
+        expect(sent.text).to.equal('SELECT * FROM site_user AS "u" WHERE ((u.id < $1)) ORDER BY u.id DESC LIMIT $2');
+        expect(sent.values).to.deep.equal([7, 3]);
+        expect(_.map(page.rows, 'id')).to.deep.equal([5, 6]);
+        expect(page.prevCursor).to.be.a('string');
+        expect(page.nextCursor).to.be.a('string');
+      });
+  });
+
+  it("should reject cursors it didn't create", function() {
+    var paginator = dbc.newKeysetPaginator(['u.id']),
+        q = dbc.getSquelSelect().from('site_user', 'u');
+
+    return paginator.paginate(q, 'not-a-cursor', 2)
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal('Invalid pagination cursor.');
+        expect(squelQuery.called).to.be.false;
+      });
+  });
+
+  it("should page through NULLs in nullable columns", function() {
+    var paginator = dbc.newKeysetPaginator([{ column: 'u.manager_id', nullable: true }, 'u.id']),
+        q = dbc.getSquelSelect().from('site_user', 'u');
+
+    squelQuery.returns(Promise.resolve({ rows: [{ manager_id: 7, id: 1 }, { manager_id: 7, id: 2 }, { manager_id: null, id: 3 }] }));
+
+    return paginator.paginate(q, null, 2)
+      .then(function(page) {
+        squelQuery.returns(Promise.resolve({ rows: [{ manager_id: null, id: 3 }, { manager_id: null, id: 4 }, { manager_id: null, id: 5 }] }));
+        return paginator.paginate(q, page.nextCursor, 2);
+      })
+      .then(function(page) {
+        expect(squelQuery.secondCall.args[0].text).to.equal(
+          'SELECT * FROM site_user AS "u" WHERE (((u.manager_id > $1 OR u.manager_id IS NULL)) OR (u.manager_id = $2 AND u.id > $3)) '
+          + 'ORDER BY u.manager_id ASC, u.id ASC LIMIT $4'
+        );
+        expect(squelQuery.secondCall.args[0].values).to.deep.equal([7, 7, 2, 3]);
+
+        squelQuery.returns(Promise.resolve({ rows: [{ manager_id: null, id: 5 }] }));
+        return paginator.paginate(q, page.nextCursor, 2);
+      })
+      .then(function(page) {
+        expect(squelQuery.thirdCall.args[0].text).to.equal(
+          'SELECT * FROM site_user AS "u" WHERE ((u.manager_id IS NULL AND u.id > $1)) ORDER BY u.manager_id ASC, u.id ASC LIMIT $2'
+        );
+
+        squelQuery.returns(Promise.resolve({ rows: [] }));
+        return paginator.paginate(q, page.prevCursor, 2);
+      })
+      .then(function() {
+        expect(squelQuery.getCall(3).args[0].text).to.equal(
+          'SELECT * FROM site_user AS "u" WHERE ((u.manager_id IS NOT NULL) OR (u.manager_id IS NULL AND u.id < $1)) '
+          + 'ORDER BY u.manager_id DESC, u.id DESC LIMIT $2'
+        );
+      });
+  });
+
+  it("should reject NULLs in columns that aren't nullable", function() {
+    var paginator = dbc.newKeysetPaginator(['u.manager_id', 'u.id']),
+        q = dbc.getSquelSelect().from('site_user', 'u');
+
+    squelQuery.returns(Promise.resolve({ rows: [{ manager_id: 7, id: 1 }, { manager_id: null, id: 2 }] }));
+
+    return paginator.paginate(q, null, 5)
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal(
+          'Order column u.manager_id is NULL in a result row. Set its nullable option to page through NULLs.');
+      });
+  });
+});
\ No newline at end of file
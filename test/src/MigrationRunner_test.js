@@ -0,0 +1,199 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var assert = chai.assert;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+
+var DatabaseConnection = require('../../index.js').DatabaseConnection;
+
+var pgMocks = require('./pg_mock.js');
+var MockPgPool = pgMocks.MockPgPool;
+
+describe('MigrationRunner unit test suite', function() {
+  var directory, checksum, genMigrationDbc;
+
+  checksum = function checksum(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex');
+  };
+
+  genMigrationDbc = function genMigrationDbc(appliedRows, clientOptions) {
+    var dbc = new DatabaseConnection('test', { config: {} });
+
+    dbc.__pool = new MockPgPool({
+      clientOptions: _.assign({
+        fnResult: function(queryStr, args) {
+          if (queryStr.indexOf('SELECT to_regclass') === 0) {
+            return { rows: [{ exists: appliedRows !== null }] };
+          } else if (queryStr.indexOf('SELECT version') === 0) {
+            return { rows: appliedRows };
+          }
+          return { rows: [] };
+        }
+      }, clientOptions)
+    });
+
+    return dbc;
+  };
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dbutil-migrations-'));
+    fs.writeFileSync(path.join(directory, '2_add_email.up.sql'), 'ALTER TABLE contact ADD COLUMN email TEXT;');
+    fs.writeFileSync(path.join(directory, '2_add_email.down.sql'), 'ALTER TABLE contact DROP COLUMN email;');
+    fs.writeFileSync(path.join(directory, '10_add_phone.up.sql'), 'ALTER TABLE contact ADD COLUMN phone TEXT;');
+    fs.writeFileSync(path.join(directory, '1_create_contact.up.sql'), 'CREATE TABLE contact (id SERIAL);');
+    fs.writeFileSync(path.join(directory, 'README.md'), 'Not a migration.');
+  });
+
+  afterEach(function() {
+    _.forEach(fs.readdirSync(directory), function(file) {
+      fs.unlinkSync(path.join(directory, file));
+    });
+    fs.rmdirSync(directory);
+  });
+
+  it("should apply pending migrations in numeric order, each in its own transaction", function() {
+    var dbc = genMigrationDbc(null),
+        runner = dbc.newMigrationRunner({ directory: directory });
+
+    return runner.migrate()
+      .then(function(applied) {
+        var queries = dbc.__pool.client.queries;
+
+        expect(_.map(applied, 'version')).to.deep.equal(['1', '2', '10']);
+        expect(queries[0]).to.equal('SELECT pg_advisory_lock($1)');
+        expect(queries[1]).to.match(/^CREATE TABLE IF NOT EXISTS "dbutil_migrations"/);
+        expect(queries.slice(3, 7)).to.deep.equal([
+          'BEGIN',
+          'CREATE TABLE contact (id SERIAL);',
+          'INSERT INTO "dbutil_migrations" (version, name, checksum) VALUES ($1, $2, $3)',
+          'COMMIT'
+        ]);
+        expect(_.last(queries)).to.equal('SELECT pg_advisory_unlock($1)');
+        expect(dbc.__pool.client.releaseCount).to.equal(1);
+        expect(dbc.__pool.client.releaseErr).to.be.undefined;
+      });
+  });
+
+  it("should report applied, pending, changed and missing migrations", function() {
+    var dbc = genMigrationDbc([
+          { version: '1', name: 'create_contact', checksum: 'stale', appliedAt: null },
+          { version: '2', name: 'add_email', checksum: checksum('ALTER TABLE contact ADD COLUMN email TEXT;'),
+            appliedAt: null },
+          { version: '3', name: 'gone', checksum: 'x', appliedAt: null }
+        ]),
+        runner = dbc.newMigrationRunner({ directory: directory });
+
+    return runner.status()
+      .then(function(statuses) {
+        expect(_.map(statuses, 'state')).to.deep.equal(['changed', 'applied', 'missing', 'pending']);
+        return runner.migrate();
+      })
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.match(/changed since they were applied: 1$/);
+        expect(dbc.__pool.client.releaseErr).to.equal(err);
+      });
+  });
+
+  it("should roll back the newest migrations and refuse ones without a down migration", function() {
+    var appliedRows = [
+          { version: '1', name: 'create_contact', checksum: 'x', appliedAt: null },
+          { version: '2', name: 'add_email', checksum: checksum('ALTER TABLE contact ADD COLUMN email TEXT;'),
+            appliedAt: null }
+        ],
+        dbc = genMigrationDbc(appliedRows),
+        runner = dbc.newMigrationRunner({ directory: directory });
+
+    return runner.rollback(1)
+      .then(function(rolledBack) {
+        expect(rolledBack).to.deep.equal([{ version: '2', name: 'add_email' }]);
+        expect(dbc.__pool.client.queries).to.include('ALTER TABLE contact DROP COLUMN email;');
+        expect(dbc.__pool.client.queries).to.include('DELETE FROM "dbutil_migrations" WHERE version = $1');
+
+        return runner.rollback(2);
+      })
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.match(/Can't roll back migration 1/);
+      });
+  });
+
+  it("should refuse to roll back a migration that has changed", function() {
+    var dbc = genMigrationDbc([
+          { version: '2', name: 'add_email', checksum: 'stale', appliedAt: null }
+        ]),
+        runner = dbc.newMigrationRunner({ directory: directory });
+
+    return runner.rollback()
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal("Can't roll back migration 2: it has changed since it was applied.");
+        expect(dbc.__pool.client.queries).to.not.include('ALTER TABLE contact DROP COLUMN email;');
+      });
+  });
+
+  it("should only print the SQL in dry-run mode", function() {
+    var dbc = genMigrationDbc([
+          { version: '1', name: 'create_contact', checksum: checksum('CREATE TABLE contact (id SERIAL);'), appliedAt: null }
+        ]),
+        logged = [],
+        runner = dbc.newMigrationRunner({
+          directory: directory,
+          dryRun: true,
+          log: function(message) {
+            logged.push(message);
+          }
+        });
+
+    return runner.migrate({ to: '2' })
+      .then(function(applied) {
+        expect(applied).to.deep.equal([{ version: '2', name: 'add_email' }]);
+        expect(logged).to.deep.equal(['-- 2_add_email (up)', 'ALTER TABLE contact ADD COLUMN email TEXT;']);
+        expect(dbc.__pool.client.queries).to.not.include('BEGIN');
+        expect(dbc.__pool.client.queries).to.not.include('SELECT pg_advisory_lock($1)');
+      });
+  });
+
+  it("should print dry-run SQL through the connection's logger by default", function() {
+    var dbc = genMigrationDbc(null),
+        logged = [],
+        runner = dbc.newMigrationRunner({ directory: directory, dryRun: true });
+
+    dbc.setLogger({
+      debug: _.noop,
+      info: function(message, fields) {
+        logged.push(message);
+      },
+      warn: _.noop,
+      error: _.noop
+    });
+
+    return runner.migrate({ to: '1' })
+      .then(function() {
+        expect(logged).to.deep.equal(['-- 1_create_contact (up)', 'CREATE TABLE contact (id SERIAL);']);
+      });
+  });
+
+  it("should reject a JS migration alongside SQL files with the same version", function() {
+    var runner = genMigrationDbc(null).newMigrationRunner({ directory: directory });
+
+    fs.writeFileSync(path.join(directory, '1_create_contact.js'), 'module.exports = { up: "SELECT 1" };');
+
+    return runner.status()
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.match(/conflicting files/);
+      });
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,318 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var assert = chai.assert;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var DatabaseConnection = require('../../index.js').DatabaseConnection;
+var NotificationListener = require('../../src/NotificationListener.js');
+var pgMocks = require('./pg_mock.js');
+var MockClient = pgMocks.MockClient;
+
+describe('NotificationListener unit test suite', function() {
+  var dbc, clients, failConnects, onQuery, listener;
+
+  function FakePgClient(connectionDetails) {
+    EventEmitter.call(this);
+    this.connectionDetails = connectionDetails;
+    this.queries = [];
+    this.ended = false;
+    clients.push(this);
+  }
+  util.inherits(FakePgClient, EventEmitter);
+
+  FakePgClient.prototype.connect = function(callback) {
+    var err = failConnects > 0 ? new Error('ECONNREFUSED') : null;
+
+    failConnects--;
+    setImmediate(callback, err);
+  };
+
+  FakePgClient.prototype.query = function(queryStr, args, callback) {
+    this.queries.push(queryStr);
+    setImmediate(callback, null, {});
+
+    if (onQuery) {
+      onQuery(this, queryStr);
+    }
+  };
+
+  FakePgClient.prototype.end = function() {
+    this.ended = true;
+  };
+
+  FakePgClient.prototype.notify = function(channel, payload) {
+    this.emit('notification', { channel: channel, payload: payload, processId: 42 });
+  };
+
+  function waitForEvent(eventName) {
+    return new Promise(function(resolve) {
+      dbc.once(eventName, resolve);
+    });
+  }
+
+  beforeEach(function() {
+    clients = [];
+    failConnects = 0;
+    onQuery = null;
+    dbc = new DatabaseConnection('listentest', { connection: { database: 'test' }, config: {} });
+    dbc.setLogger({ debug: _.noop, info: _.noop, warn: _.noop, error: _.noop });
+    listener = new NotificationListener(dbc, FakePgClient, { baseDelayMillis: 4, maxDelayMillis: 8 });
+    dbc.__notificationListener = listener;
+  });
+
+  afterEach(function() {
+    return listener.close();
+  });
+
+  it("should listen to every channel on one dedicated client", function() {
+    var received = [];
+
+    return Promise.all([
+      dbc.listen('contact_changed', function(payload, notification) {
+        received.push([payload, notification]);
+      }),
+      dbc.listen('company.changed', _.noop)
+    ])
+      .then(function() {
+        expect(clients).to.have.length(1);
+        expect(clients[0].connectionDetails).to.deep.equal({ database: 'test' });
+        expect(clients[0].queries).to.deep.equal(['LISTEN "contact_changed"', 'LISTEN "company.changed"']);
+
+        clients[0].notify('contact_changed', '{"id":1,"action":"update"}');
+        clients[0].notify('contact_changed', 'not json');
+        clients[0].notify('contact_changed', '');
+        clients[0].notify('other', '1');
+
+        expect(received).to.deep.equal([
+          [{ id: 1, action: 'update' }, { channel: 'contact_changed', processId: 42 }],
+          ['not json', { channel: 'contact_changed', processId: 42 }],
+          [null, { channel: 'contact_changed', processId: 42 }]
+        ]);
+      });
+  });
+
+  it("should keep calling other handlers when one throws", function() {
+    var handler = sinon.spy();
+
+    return dbc.listen('ch', function() {
+      throw new Error('HANDLER_ERROR');
+    })
+      .then(function() {
+        return dbc.listen('ch', handler);
+      })
+      .then(function() {
+        clients[0].notify('ch', '2');
+
+        expect(handler.calledWith(2)).to.be.true;
+        expect(clients[0].queries).to.deep.equal(['LISTEN "ch"']);
+      });
+  });
+
+  it("should unlisten once a channel has no handlers, and disconnect once no channels are left", function() {
+    var handler = sinon.spy(),
+        unsubscribes;
+
+    return Promise.all([dbc.listen('a', handler), dbc.listen('a', _.noop), dbc.listen('b', _.noop)])
+      .then(function(results) {
+        unsubscribes = results;
+        return unsubscribes[0]();
+      })
+      .then(function() {
+        clients[0].notify('a', '1');
+        expect(handler.called).to.be.false;
+        expect(clients[0].queries).to.have.length(2);
+
+        return unsubscribes[1]();
+      })
+      .then(function() {
+        expect(clients[0].queries[2]).to.equal('UNLISTEN "a"');
+
+        return unsubscribes[2]();
+      })
+      .then(function() {
+        expect(clients[0].ended).to.be.true;
+        expect(listener.__client).to.be.null;
+      });
+  });
+
+  it("should reject and forget the handler if the client can't connect", function() {
+    failConnects = 1;
+
+    return dbc.listen('ch', _.noop)
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal('ECONNREFUSED');
+        expect(listener.__handlers.size).to.equal(0);
+        expect(clients[0].ended).to.be.true;
+      });
+  });
+
+  it("should reconnect with backoff, listen again and emit events after the connection drops", function() {
+    var handler = sinon.spy(),
+        disconnectEvent;
+
+    return Promise.all([dbc.listen('a', handler), dbc.listen('b', _.noop)])
+      .then(function() {
+        var disconnected = waitForEvent('listen:disconnect');
+
+        failConnects = 2;
+        clients[0].emit('error', new Error('Connection terminated'));
+        return disconnected;
+      })
+      .then(function(event) {
+        disconnectEvent = event;
+        expect(clients[0].ended).to.be.true;
+
+        return waitForEvent('listen:reconnect');
+      })
+      .then(function(event) {
+        expect(disconnectEvent.connection).to.equal('listentest');
+        expect(disconnectEvent.channels).to.deep.equal(['a', 'b']);
+        expect(disconnectEvent.error.message).to.equal('Connection terminated');
+
+        expect(event.channels).to.deep.equal(['a', 'b']);
+        expect(event.attempts).to.equal(3);
+        expect(event.downtimeMs).to.be.at.least(0);
+
+        expect(clients).to.have.length(4);
+        expect(clients[3].queries).to.deep.equal(['LISTEN "a"', 'LISTEN "b"']);
+
+        clients[3].notify('a', '"back"');
+        expect(handler.calledWith('back')).to.be.true;
+      });
+  });
+
+  it("should listen to channels added while reconnecting once the client is back", function() {
+    return dbc.listen('a', _.noop)
+      .then(function() {
+        var reconnected = waitForEvent('listen:reconnect');
+
+        clients[0].emit('end');
+
+        return dbc.listen('b', _.noop)
+          .then(function() {
+            return reconnected;
+          });
+      })
+      .then(function() {
+        expect(clients[1].queries).to.deep.equal(['LISTEN "a"', 'LISTEN "b"']);
+      });
+  });
+
+  it("should listen to channels added while connecting", function() {
+    var listeningB;
+
+    onQuery = function() {
+      onQuery = null;
+      listeningB = dbc.listen('b', _.noop);
+    };
+
+    return dbc.listen('a', _.noop)
+      .then(function() {
+        return listeningB;
+      })
+      .then(function() {
+        expect(clients).to.have.length(1);
+        expect(clients[0].queries).to.deep.equal(['LISTEN "a"', 'LISTEN "b"']);
+        expect(listener.__client).to.equal(clients[0]);
+      });
+  });
+
+  it("should disconnect if the last handler is removed while connecting", function() {
+    var reconnected = sinon.spy();
+
+    dbc.on('listen:reconnect', reconnected);
+
+    return dbc.listen('a', _.noop)
+      .then(function(unsubscribe) {
+        onQuery = function(client) {
+          if (client === clients[1]) {
+            onQuery = null;
+            unsubscribe();
+          }
+        };
+
+        clients[0].emit('end');
+        return Promise.delay(30);
+      })
+      .then(function() {
+        expect(clients).to.have.length(2);
+        expect(clients[1].queries).to.deep.equal(['LISTEN "a"']);
+        expect(clients[1].ended).to.be.true;
+        expect(listener.__client).to.be.null;
+        expect(reconnected.called).to.be.false;
+      });
+  });
+
+  it("should stop reconnecting and reject new listeners once the connection is closed", function() {
+    return dbc.listen('a', _.noop)
+      .then(function() {
+        failConnects = 1000;
+        clients[0].emit('end');
+
+        return dbc.close();
+      })
+      .then(function() {
+        return Promise.delay(30);
+      })
+      .then(function() {
+        expect(clients).to.have.length(1);
+        expect(listener.__reconnectTimer).to.be.null;
+
+        return dbc.listen('b', _.noop);
+      })
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal("Connection 'listentest' has been closed.");
+      });
+  });
+
+  it("should not start a listener for a connection closed before listening", function() {
+    var closedDbc = new DatabaseConnection('closetest', { connection: { database: 'test' }, config: {} });
+
+    return closedDbc.close()
+      .then(function() {
+        expect(closedDbc.__notificationListener).to.be.null;
+        return closedDbc.listen('a', _.noop);
+      })
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal("Connection 'closetest' has been closed.");
+        expect(closedDbc.__notificationListener).to.be.null;
+      });
+  });
+
+  it("should share the listener with tenant views", function() {
+    dbc.__pool = new pgMocks.MockPgPool({});
+    expect(dbc.forTenant('acme').__getNotificationListener()).to.equal(listener);
+  });
+
+  it("should send JSON payloads with pg_notify()", function() {
+    var client = new MockClient(),
+        args = [];
+
+    sinon.stub(client, 'query', function(queryStr, queryArgs, callback) {
+      args.push(queryArgs);
+      return MockClient.prototype.query.call(this, queryStr, queryArgs, callback);
+    });
+
+    return dbc.notify('contact_changed', { id: 1 }, client)
+      .then(function(result) {
+        expect(result).to.be.undefined;
+        return dbc.notify('contact_changed', undefined, client);
+      })
+      .then(function() {
+        expect(client.queries).to.deep.equal(['SELECT pg_notify($1, $2)', 'SELECT pg_notify($1, $2)']);
+        expect(args).to.deep.equal([['contact_changed', '{"id":1}'], ['contact_changed', '']]);
+      });
+  });
+});
\ No newline at end of file
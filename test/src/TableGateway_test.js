@@ -0,0 +1,133 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var assert = chai.assert;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var DatabaseConnection = require('../../index.js').DatabaseConnection;
+
+describe('TableGateway unit test suite', function() {
+  var dbc, squelQueryReturningMany, contacts;
+
+  beforeEach(function() {
+    dbc = new DatabaseConnection('test', {});
+    squelQueryReturningMany = sinon.stub(dbc, 'squelQueryReturningMany');
+    squelQueryReturningMany.returns(Promise.resolve([{ id: 1, firstName: 'James' }]));
+    contacts = dbc.defineTable('crm.contact', { columns: ['firstName', 'companyId', 'deletedAt'] });
+  });
+
+  it("should find a row by id with mapped keys and the given client", function() {
+    var client = {};
+
+    return contacts.findById(1, client)
+      .then(function(row) {
+        var call = squelQueryReturningMany.firstCall;
+
+        expect(call.args[0]).to.deep.equal({
+          text: 'SELECT "first_name", "company_id", "deleted_at", "id" FROM "crm"."contact" WHERE ("id" = $1)',
+          values: [1]
+        });
+        expect(call.args[1]).to.equal(client);
+        expect(call.args[2]).to.deep.equal({ mapRowKeys: true });
+        expect(row).to.deep.equal({ id: 1, firstName: 'James' });
+      });
+  });
+
+  it("should resolve to null when there is no row", function() {
+    squelQueryReturningMany.returns(Promise.resolve([]));
+
+    return contacts.findById(2)
+      .then(function(row) {
+        expect(row).to.be.null;
+      });
+  });
+
+  it("should find rows by ids without querying for an empty list", function() {
+    return contacts.findByIds([])
+      .then(function(rows) {
+        expect(rows).to.deep.equal([]);
+        expect(squelQueryReturningMany.called).to.be.false;
+
+        return contacts.findByIds([1, 2]);
+      })
+      .then(function() {
+        expect(squelQueryReturningMany.firstCall.args[0].text).to.match(/WHERE \("id" IN \(\$1, \$2\)\) ORDER BY "id" ASC$/);
+      });
+  });
+
+  it("should turn criteria into equality, IS NULL and IN conditions", function() {
+    return contacts.findWhere({ companyId: 24, deletedAt: null, firstName: ['James', 'Andy'] })
+      .then(function() {
+        expect(squelQueryReturningMany.firstCall.args[0]).to.deep.equal({
+          text: 'SELECT "first_name", "company_id", "deleted_at", "id" FROM "crm"."contact" '
+            + 'WHERE ("company_id" = $1) AND ("deleted_at" IS NULL) AND ("first_name" IN ($2, $3)) ORDER BY "id" ASC',
+          values: [24, 'James', 'Andy']
+        });
+      });
+  });
+
+  it("should count matching rows", function() {
+    squelQueryReturningMany.returns(Promise.resolve([{ count: '7' }]));
+
+    return contacts.count({ companyId: 24 })
+      .then(function(count) {
+        expect(squelQueryReturningMany.firstCall.args[0].text)
+          .to.equal('SELECT COUNT(*) AS "count" FROM "crm"."contact" WHERE ("company_id" = $1)');
+        expect(count).to.equal(7);
+      });
+  });
+
+  it("should insert, update and delete rows, returning them", function() {
+    return contacts.insert({ firstName: 'James', companyId: undefined })
+      .then(function(row) {
+        expect(squelQueryReturningMany.getCall(0).args[0]).to.deep.equal({
+          text: 'INSERT INTO "crm"."contact" ("first_name") VALUES ($1) '
+            + 'RETURNING "first_name", "company_id", "deleted_at", "id"',
+          values: ['James']
+        });
+        expect(row).to.deep.equal({ id: 1, firstName: 'James' });
+
+        return contacts.update(1, { firstName: 'Jim' });
+      })
+      .then(function() {
+        expect(squelQueryReturningMany.getCall(1).args[0]).to.deep.equal({
+          text: 'UPDATE "crm"."contact" SET "first_name" = $1 WHERE ("id" = $2) '
+            + 'RETURNING "first_name", "company_id", "deleted_at", "id"',
+          values: ['Jim', 1]
+        });
+
+        return contacts.delete(1);
+      })
+      .then(function() {
+        expect(squelQueryReturningMany.getCall(2).args[0]).to.deep.equal({
+          text: 'DELETE FROM "crm"."contact" WHERE ("id" = $1) '
+            + 'RETURNING "first_name", "company_id", "deleted_at", "id"',
+          values: [1]
+        });
+      });
+  });
+
+  it("should insert default values for an empty row", function() {
+    return dbc.defineTable('audit_log').insert({})
+      .then(function() {
+        expect(squelQueryReturningMany.firstCall.args[0]).to.deep.equal({
+          text: 'INSERT INTO "audit_log" DEFAULT VALUES RETURNING *',
+          values: []
+        });
+      });
+  });
+
+  it("should reject keys that aren't among the columns", function() {
+    return contacts.update(1, { password: 'hunter2' })
+      .then(function() {
+        assert.fail();
+      }, function(err) {
+        expect(err.message).to.equal("Unknown column for table crm.contact: 'password'");
+        expect(squelQueryReturningMany.called).to.be.false;
+      });
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var configValidator = require('../../index.js').configValidator;
+var errors = require('../../index.js').errors;
+
+describe('configValidator unit test suite', function() {
+
+  describe("validateConnectionConfig() suite", function() {
+
+    it("should fill in defaults for valid configs", function() {
+      var config = { connection: { host: 'localhost', database: 'app', max: 4 } },
+          result = configValidator.validateConnectionConfig(config);
+
+      expect(result.valid).to.be.true;
+      expect(result.errors).to.deep.equal([]);
+      expect(result.warnings).to.deep.equal([]);
+      expect(result.config).to.deep.equal({
+        connection: { host: 'localhost', database: 'app', max: 4, idleTimeoutMillis: 30000 },
+        replicas: [],
+        config: { verbose: false }
+      });
+      expect(config).to.not.have.property('config');
+    });
+
+    it("should report missing and wrong-typed fields as errors", function() {
+      var result = configValidator.validateConnectionConfig({
+            connection: { host: 'localhost', port: '5432' },
+            config: { verbose: 'yes' }
+          });
+
+      expect(result.valid).to.be.false;
+      expect(result.config).to.be.null;
+      expect(result.errors).to.have.members([
+        'connection.port is not of a type(s) integer',
+        'config.verbose is not of a type(s) boolean'
+      ]);
+    });
+
+    it("should report a missing connection block", function() {
+      var result = configValidator.validateConnectionConfig({ config: {} });
+
+      expect(result.errors).to.deep.equal(['connection is required']);
+    });
+
+    it("should leave the database name to the defaults if it isn't given", function() {
+      var result = configValidator.validateConnectionConfig({ connection: { host: 'localhost' } });
+
+      expect(result.valid).to.be.true;
+      expect(result.config.connection).to.deep.equal({ host: 'localhost', max: 10, idleTimeoutMillis: 30000 });
+    });
+
+    it("should warn about unknown keys, suggesting known ones", function() {
+      var result = configValidator.validateConnectionConfig({
+            connection: { database: 'app', idleTimeoutMilis: 1000 },
+            config: { logging: { levle: 'debug' }, logger: { custom: true } },
+            extra: 1
+          });
+
+      expect(result.valid).to.be.true;
+      expect(result.warnings).to.deep.equal([
+        "Unknown key 'connection.idleTimeoutMilis'. Did you mean 'idleTimeoutMillis'?",
+        "Unknown key 'config.logging.levle'. Did you mean 'level'?",
+        "Unknown key 'extra'."
+      ]);
+    });
+
+    it("should check each replica like the primary", function() {
+      var result = configValidator.validateConnectionConfig({
+            connection: { database: 'app' },
+            replicas: [{ host: 'replica1', database: 'app' }, { host: 'replica2', databse: 'app', port: 'x' }]
+          });
+
+      expect(result.errors).to.deep.equal(['replicas[1].port is not of a type(s) integer']);
+      expect(result.warnings).to.deep.equal(["Unknown key 'replicas[1].databse'. Did you mean 'database'?"]);
+    });
+
+    it("should fill in defaults for replicas", function() {
+      var result = configValidator.validateConnectionConfig({
+            connection: { database: 'app' },
+            replicas: [{ host: 'replica1', database: 'app', max: 2 }]
+          });
+
+      expect(result.config.replicas).to.deep.equal([{ host: 'replica1', database: 'app', max: 2, idleTimeoutMillis: 30000 }]);
+    });
+
+  });
+
+
+
+  describe("assertValidConnectionConfig() suite", function() {
+
+    it("should throw a ConfigValidationError listing the errors", function() {
+      expect(function() {
+        configValidator.assertValidConnectionConfig({ connection: { port: 'x' } }, 'main');
+      }).to.throw(errors.ConfigValidationError, "Invalid configuration for connection 'main':\n  - connection.port is not of a type(s) integer");
+    });
+
+  });
+
+});
\ No newline at end of file
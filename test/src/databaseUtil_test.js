@@ -462,33 +462,107 @@ describe('databaseUtil suite', function() {
       });
     });
   });
-  
-});
-
-
-
-
-
 
 
 
+  describe("newRowKeyMapper() suite", function() {
+    var queryResult = {
+          fields: [
+            { name: 'id' },
+            { name: 'first_name' },
+            { name: 'zip_code_5' }
+          ],
+          rows: [
+            { 'id': 1, 'first_name': 'James', 'zip_code_5': '40202' },
+            { 'id': 2, 'first_name': 'Andy', 'zip_code_5': null }
+          ]
+        };
 
+    it("should convert row keys to JS-style names by default", function() {
+      var mapRowKeys = dbu.newRowKeyMapper();
 
+      expect(mapRowKeys(queryResult)).to.deep.equal([
+        { id: 1, firstName: 'James', zipCode5: '40202' },
+        { id: 2, firstName: 'Andy', zipCode5: null }
+      ]);
+    });
 
+    it("should map each key only once per result shape", function() {
+      var fnMapKey = sinon.spy(function(name) {
+            return name.toUpperCase();
+          }),
+          mapRowKeys = dbu.newRowKeyMapper(fnMapKey);
 
+      expect(mapRowKeys(queryResult)[0]).to.deep.equal({ 'ID': 1, 'FIRST_NAME': 'James', 'ZIP_CODE_5': '40202' });
+      mapRowKeys(queryResult);
+      expect(fnMapKey.callCount).to.equal(3);
+    });
 
+    it("should fall back to the keys of the first row when there are no fields", function() {
+      var mapRowKeys = dbu.newRowKeyMapper();
 
+      expect(mapRowKeys({ rows: [{ 'last_name': 'Brawn' }] })).to.deep.equal([{ lastName: 'Brawn' }]);
+      expect(mapRowKeys({})).to.deep.equal([]);
+    });
+  });
 
 
 
+  describe("convertNamedParams() suite", function() {
+    it("should rewrite named placeholders into positional ones", function() {
+      var actual = dbu.convertNamedParams(
+            "SELECT * FROM site_user WHERE company_id = :companyId AND created_at > ${since} AND manager_id <> :companyId",
+            { companyId: 24, since: '2018-01-01' }
+          );
 
+      expect(actual).to.deep.equal({
+        text: "SELECT * FROM site_user WHERE company_id = $1 AND created_at > $2 AND manager_id <> $1",
+        values: [24, '2018-01-01'],
+        names: ['companyId', 'since']
+      });
+    });
 
+    it("should leave casts, literals, quoted identifiers and comments alone", function() {
+      var queryString = "SELECT ':notAParam', \"col:name\", $$ :nope $$, :id::text -- :comment\n/* :comment */",
+          actual = dbu.convertNamedParams(queryString, { id: 7 });
 
+      expect(actual.text).to.equal("SELECT ':notAParam', \"col:name\", $$ :nope $$, $1::text -- :comment\n/* :comment */");
+      expect(actual.values).to.deep.equal([7]);
+    });
 
+    it("should allow null values but not missing ones", function() {
+      expect(dbu.convertNamedParams("SELECT :a", { a: null }).values).to.deep.equal([null]);
+      expect(function() {
+        dbu.convertNamedParams("SELECT :a, :b, :c", { b: 1 });
+      }).to.throw(/a, c/);
+    });
 
+    it("should skip backslash escapes in E'...' strings", function() {
+      var actual = dbu.convertNamedParams("SELECT E'it\\'s :x', e'\\\\', :y, name'", { y: 2 });
 
+      expect(actual.text).to.equal("SELECT E'it\\'s :x', e'\\\\', $1, name'");
+      expect(actual.values).to.deep.equal([2]);
+    });
 
+    it("should leave array slices alone, but not array constructors", function() {
+      var actual = dbu.convertNamedParams(
+            "SELECT tags[lo:hi], tags[1 : n], tags[${lo}:${hi}], ARRAY[:a, :b], tags[:i]",
+            { lo: 1, hi: 2, a: 3, b: 4, i: 5 }
+          );
 
+      expect(actual.text).to.equal("SELECT tags[lo:hi], tags[1 : n], tags[$1:$2], ARRAY[$3, $4], tags[$5]");
+      expect(actual.values).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+  });
 
 
 
+  describe("quoteIdentifier() suite", function() {
+    it("should quote each part of a name", function() {
+      expect(dbu.quoteIdentifier('site_user')).to.equal('"site_user"');
+      expect(dbu.quoteIdentifier('crm.qstnr')).to.equal('"crm"."qstnr"');
+      expect(dbu.quoteIdentifier('we"ird')).to.equal('"we""ird"');
+    });
+  });
+  
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+
+var logging = require('../../index.js').logging;
+
+describe('logging unit test suite', function() {
+
+  describe("getLogLevel() suite", function() {
+
+    it("should use the configured level", function() {
+      expect(logging.getLogLevel({ logging: { level: 'warn' }, verbose: true })).to.equal('warn');
+    });
+
+    it("should fall back on the verbose setting", function() {
+      expect(logging.getLogLevel({ verbose: true })).to.equal('debug');
+      expect(logging.getLogLevel({})).to.equal('info');
+      expect(logging.getLogLevel(undefined)).to.equal('info');
+    });
+
+  });
+
+
+
+  describe("isLevelEnabled() suite", function() {
+
+    it("should compare levels by severity", function() {
+      expect(logging.isLevelEnabled('error', 'info')).to.be.true;
+      expect(logging.isLevelEnabled('info', 'info')).to.be.true;
+      expect(logging.isLevelEnabled('debug', 'info')).to.be.false;
+    });
+
+  });
+
+
+
+  describe("truncateValue() suite", function() {
+
+    it("should cut long strings short", function() {
+      expect(logging.truncateValue('abcdef', { maxValueLength: 4 })).to.equal('abcd... [2 more characters]');
+      expect(logging.truncateValue('abcd', { maxValueLength: 4 })).to.equal('abcd');
+    });
+
+    it("should redact matching keys in nested objects", function() {
+      expect(logging.truncateValue({ user: { name: 'Al', password: 'x' }, apiKey: 'y' })).to.deep.equal({
+        user: { name: 'Al', password: '[REDACTED]' },
+        apiKey: '[REDACTED]'
+      });
+    });
+
+    it("should summarize buffers and leave other values alone", function() {
+      var date = new Date();
+
+      expect(logging.truncateValue(Buffer.from('abc'))).to.equal('[Buffer of 3 bytes]');
+      expect(logging.truncateValue(date)).to.equal(date);
+      expect(logging.truncateValue(null)).to.be.null;
+      expect(logging.truncateValue(5)).to.equal(5);
+    });
+
+  });
+
+
+
+  describe("redactArgs() suite", function() {
+
+    it("should redact positional arguments unless logArgs allows them", function() {
+      expect(logging.redactArgs(['a', 'b'], null, {})).to.deep.equal(['[REDACTED]', '[REDACTED]']);
+      expect(logging.redactArgs(['a', 'b', 'c'], null, { logArgs: [1, 3] })).to.deep.equal(['a', '[REDACTED]', 'c']);
+    });
+
+    it("should redact arguments by placeholder number", function() {
+      expect(logging.redactArgs(['a', 'b', 'c'], null, { logArgs: true, redactArgs: [2] })).to.deep.equal(['a', '[REDACTED]', 'c']);
+    });
+
+    it("should redact named arguments that match redactKeys", function() {
+      expect(logging.redactArgs(['a', 'b'], ['name', 'ssn'], { redactKeys: ['SSN'] })).to.deep.equal(['a', '[REDACTED]']);
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -19,20 +19,37 @@ function bind(fn, obj) {
  */
 
 function MockClient(options) {
-  this.options = options;
+  this.options = options || {};
   this.releaseWasCalled = false;
+  this.releaseCount = 0;
+  this.releaseErr = undefined;
+  this.queries = [];
 }
 
-MockClient.prototype.release = function release() {
+MockClient.prototype.release = function release(err) {
   this.releaseWasCalled = true;
+  this.releaseCount++;
+  this.releaseErr = err;
+};
+
+MockClient.prototype.__shouldFail = function __shouldFail(queryStr) {
+  var failOn = this.options.failOn || [];
+
+  return this.options.throwError || failOn.some(function(prefix) {
+    return queryStr.indexOf(prefix) === 0;
+  });
 };
 
 MockClient.prototype.query = function query(queryStr, args, callback) {
   var self = this;
 
+  self.queries.push(queryStr);
+
   if (callback) {
-    if (self.options.throwError) {
+    if (self.__shouldFail(queryStr)) {
       callback(new Error('CLIENT_ERROR'));
+    } else if (self.options.fnResult) {
+      callback(null, self.options.fnResult(queryStr, args));
     } else {
       callback(null, 'OK');
     }
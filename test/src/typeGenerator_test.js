@@ -0,0 +1,109 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var Promise = require('bluebird');
+
+var DatabaseConnection = require('../../index.js').DatabaseConnection;
+var typeGenerator = require('../../index.js').typeGenerator;
+
+describe('typeGenerator unit test suite', function() {
+  var genColumn, db;
+
+  genColumn = function genColumn(name, udtName, nullable, udtSchema) {
+    return {
+      name: name,
+      dataType: udtName[0] === '_' ? 'ARRAY' : 'USER-DEFINED',
+      udtSchema: udtSchema || 'pg_catalog',
+      udtName: udtName,
+      isArray: udtName[0] === '_',
+      nullable: nullable,
+      default: null
+    };
+  };
+
+  db = {
+    tables: {
+      'public.site_user': {
+        schema: 'public',
+        name: 'site_user',
+        kind: 'table',
+        columns: [
+          genColumn('id', 'int8', false),
+          genColumn('zip_code_5', 'bpchar', true),
+          genColumn('created_at', 'timestamptz', false),
+          genColumn('mood', 'mood', true, 'crm'),
+          genColumn('past_moods', '_mood', false, 'crm'),
+          genColumn('scores', '_float8', false),
+          genColumn('balances', '_numeric', true),
+          genColumn('location', 'point', true),
+          genColumn('area', 'circle', true)
+        ]
+      }
+    },
+    views: {
+      'crm.active_contact': {
+        schema: 'crm',
+        name: 'active_contact',
+        kind: 'view',
+        columns: [genColumn('is_active', 'bool', true)]
+      }
+    },
+    enums: {
+      'crm.mood': { schema: 'crm', name: 'mood', values: ['sad', 'happy'] }
+    }
+  };
+
+  describe("renderTypeDefinitions() suite", function() {
+
+    it("should render enums and interfaces sorted by name", function() {
+      expect(typeGenerator.renderTypeDefinitions(db)).to.equal([
+        '// This file was generated from the database by metisoft-database-util. Do not edit it by hand.\n',
+        'export type CrmMood = "sad" | "happy";\n',
+        'export interface CrmActiveContact {\n'
+          + '  isActive: boolean | null;\n'
+          + '}\n',
+        'export interface SiteUser {\n'
+          + '  id: string;\n'
+          + '  zipCode5: string | null;\n'
+          + '  createdAt: Date;\n'
+          + '  mood: CrmMood | null;\n'
+          + '  pastMoods: string;\n'
+          + '  scores: number[];\n'
+          + '  balances: number[] | null;\n'
+          + '  location: { x: number, y: number } | null;\n'
+          + '  area: { x: number, y: number, radius: number } | null;\n'
+          + '}\n'
+      ].join('\n'));
+    });
+
+    it("should not depend on the order of the catalog", function() {
+      var zebra = { schema: 'public', name: 'zebra', kind: 'table', columns: [genColumn('id', 'int4', false)] },
+          first = _.assign({}, db, { tables: { 'public.zebra': zebra, 'public.site_user': db.tables['public.site_user'] } }),
+          second = _.assign({}, db, { tables: { 'public.site_user': db.tables['public.site_user'], 'public.zebra': zebra } });
+
+      expect(typeGenerator.renderTypeDefinitions(first)).to.equal(typeGenerator.renderTypeDefinitions(second));
+    });
+
+  });
+
+
+
+  describe("generateTypeDefinitions() suite", function() {
+
+    it("should read a fresh copy of the catalog", function() {
+      var dbc = new DatabaseConnection('test', {}),
+          introspect = sinon.stub(dbc, 'introspect').returns(Promise.resolve(db));
+
+      return typeGenerator.generateTypeDefinitions(dbc, { schemas: ['public', 'crm'] })
+        .then(function(definitions) {
+          expect(introspect.firstCall.args[0]).to.deep.equal({ schemas: ['public', 'crm'], refresh: true });
+          expect(definitions).to.equal(typeGenerator.renderTypeDefinitions(db));
+        });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -2,5 +2,12 @@
 
 require('./src/DatabaseConnection_test.js');
 require('./src/DatabaseConnection_integrationTest.js');
+require('./src/configValidator_test.js');
 require('./src/databaseUtil_test.js');
+require('./src/KeysetPaginator_test.js');
+require('./src/logging_test.js');
+require('./src/MigrationRunner_test.js');
+require('./src/NotificationListener_test.js');
+require('./src/TableGateway_test.js');
+require('./src/typeGenerator_test.js');
 require('./src/DevQA_test.js');
\ No newline at end of file
@@ -1,28 +1,111 @@
 import pg = require('pg');
 import pgPool = require('pg-pool');
 import express = require('express');
+import stream = require('stream');
+import events = require('events');
 
 
 
 /* Object interfaces */
 
 declare interface ConfigOptions {
-  verbose: boolean
+  verbose: boolean,
+  transactionDefaults?: TransactionModeOptions,
+  mapRowKeys?: boolean | fnMapKey,
+  queryTimeoutMs?: number,
+  logger?: Logger,
+  logging?: LoggingOptions,
+  slowQueryThresholdMs?: number,
+  replicaRetryDelayMs?: number,
+  sessionContextFromUserData?: fnSessionContextFromUserData | { [setting: string]: string }
+}
+
+declare type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+declare interface Logger {
+  debug(message: string, fields: object): void;
+  info(message: string, fields: object): void;
+  warn(message: string, fields: object): void;
+  error(message: string, fields: object): void;
+}
+
+declare interface LoggingOptions {
+  level?: LogLevel,
+  logArgs?: boolean | number[],
+  redactArgs?: number[],
+  redactKeys?: (string | RegExp)[],
+  maxValueLength?: number,
+  maxResultRows?: number,
+  sampleRate?: number
+}
+
+declare type QueryEventName = 'query:start' | 'query:end' | 'query:error' | 'query:slow';
+
+declare interface QueryEvent {
+  queryId: number,
+  connection: string,
+  sql: string,
+  usedCallerClient: boolean,
+  poolWaitMs?: number,
+  durationMs?: number,
+  rowCount?: number | null,
+  error?: Error,
+  stack?: string | null
+}
+
+declare type ListenEventName = 'listen:disconnect' | 'listen:reconnect';
+
+declare interface ListenEvent {
+  connection: string,
+  channels: string[],
+  error?: Error | null,
+  attempts?: number,
+  downtimeMs?: number
+}
+
+declare interface NotificationInfo {
+  channel: string,
+  processId: number
+}
+
+declare interface fnNotificationHandler {
+  (
+    payload: any,
+    notification: NotificationInfo
+  ): void;
+}
+
+declare interface PoolStats {
+  total: number,
+  idle: number,
+  waiting: number,
+  max: number,
+  replicas?: ReplicaPoolStats[]
+}
+
+declare interface ReplicaPoolStats extends PoolStats {
+  healthy: boolean
+}
+
+declare interface CloseOptions {
+  timeoutMillis?: number
 }
 
 declare interface ConnectionDetails {
   host: string,
   port: number,
-  database: string,
+  database?: string,
   user: string,
   password: string,
   max: number,
-  idleTimeoutMillis: number
+  idleTimeoutMillis: number,
+  ssl?: boolean
 }
 
 declare interface ConnectionConfig {
   config: ConfigOptions,
-  connection: ConnectionDetails
+  connection: ConnectionDetails,
+  replicas?: ConnectionDetails[]
 }
 
 declare interface RunBasicServiceConfig {
@@ -33,9 +116,176 @@ declare interface RunBasicServiceConfig {
   fnSanitizeRequest: fnSanitizeRequest,
   fnMakeQuery: fnMakeQuery,
   oneOrMany: string,
+  client?: pg.PoolClient,
+  sessionContext?: SessionContext
+}
+
+declare type IsolationLevel = 'serializable' | 'repeatable read' | 'read committed';
+
+declare interface TransactionModeOptions {
+  isolationLevel?: IsolationLevel,
+  readOnly?: boolean,
+  deferrable?: boolean
+}
+
+declare interface WithTransactionOptions extends TransactionModeOptions {
   client?: pg.PoolClient
 }
 
+declare interface RetryingTransactionOptions extends TransactionModeOptions {
+  maxAttempts?: number,
+  baseDelayMillis?: number,
+  maxDelayMillis?: number,
+  onRetry?: fnOnRetry
+}
+
+declare interface QueryOptions {
+  mapRowKeys?: boolean | fnMapKey,
+  timeoutMs?: number,
+  signal?: AbortSignal,
+  usePrimary?: boolean,
+  sessionContext?: SessionContext
+}
+
+declare interface SessionContext {
+  [setting: string]: any
+}
+
+declare interface QueryStreamOptions extends QueryOptions {
+  batchSize?: number,
+  batches?: boolean
+}
+
+declare interface BulkInsertOptions {
+  returning?: boolean | string[],
+  client?: pg.PoolClient,
+  chunkSize?: number,
+  mapRowKeys?: boolean | fnMapKey
+}
+
+declare interface UpsertOptions extends BulkInsertOptions {
+  conflictColumns?: string[],
+  conflictConstraint?: string,
+  updateColumns?: string[],
+  doNothing?: boolean,
+  where?: string
+}
+
+declare interface UpsertResult {
+  row: any,
+  inserted: boolean
+}
+
+declare type CopyFormat = 'csv' | 'text' | 'binary';
+
+declare interface CopyOptions {
+  format?: CopyFormat,
+  client?: pg.PoolClient
+}
+
+declare interface CopyResult {
+  rowCount: number
+}
+
+declare interface KeysetOrderColumn {
+  column: string,
+  direction?: 'asc' | 'desc',
+  field?: string,
+  nullable?: boolean
+}
+
+declare interface KeysetPaginatorOptions extends QueryOptions {
+  primaryKey?: string
+}
+
+declare interface KeysetPage {
+  rows: any[],
+  nextCursor: string | null,
+  prevCursor: string | null
+}
+
+declare interface TableGatewayOptions {
+  primaryKey?: string,
+  columns?: string[]
+}
+
+declare interface IntrospectOptions {
+  schemas?: string[],
+  refresh?: boolean
+}
+
+declare interface IntrospectedColumn {
+  name: string,
+  dataType: string,
+  udtSchema: string,
+  udtName: string,
+  isArray: boolean,
+  nullable: boolean,
+  default: string | null
+}
+
+declare interface IntrospectedForeignKey {
+  name: string,
+  columns: string[],
+  foreignSchema: string,
+  foreignTable: string,
+  foreignColumns: string[],
+  onUpdate: string,
+  onDelete: string
+}
+
+declare interface IntrospectedIndex {
+  name: string,
+  columns: string[],
+  isUnique: boolean,
+  isPrimary: boolean,
+  definition: string
+}
+
+declare interface IntrospectedRelation {
+  schema: string,
+  name: string,
+  kind: 'table' | 'view',
+  columns: IntrospectedColumn[],
+  primaryKey: string[],
+  foreignKeys: IntrospectedForeignKey[],
+  uniqueConstraints: Array<{ name: string, columns: string[] }>,
+  indexes: IntrospectedIndex[]
+}
+
+declare interface IntrospectedEnum {
+  schema: string,
+  name: string,
+  values: string[]
+}
+
+declare interface Introspection {
+  tables: { [qualifiedName: string]: IntrospectedRelation },
+  views: { [qualifiedName: string]: IntrospectedRelation },
+  enums: { [qualifiedName: string]: IntrospectedEnum }
+}
+
+declare interface MigrationRunnerOptions {
+  directory: string,
+  tableName?: string,
+  dryRun?: boolean,
+  log?: (message: string) => void
+}
+
+declare type MigrationState = 'applied' | 'pending' | 'changed' | 'missing';
+
+declare interface MigrationStatus {
+  version: string,
+  name: string,
+  state: MigrationState,
+  appliedAt: Date | null
+}
+
+declare interface MigrationInfo {
+  version: string,
+  name: string
+}
+
 declare interface SquelQuery {
   text: string,
   values: any[]
@@ -66,6 +316,12 @@ declare interface fnSanitizeRequest {
   ): express.Request;
 }
 
+declare interface fnSessionContextFromUserData {
+  (
+    userData: object
+  ): SessionContext;
+}
+
 declare interface fnMakeQuery {
   (
     userData: object,
@@ -76,17 +332,45 @@ declare interface fnMakeQuery {
 declare interface fnSquelQueryReturningOne {
   (
     q: SquelQuery,
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<any>;
 }
 
 declare interface fnSquelQueryReturningMany {
   (
     q: SquelQuery,
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<any[]>;
 }
 
+declare interface fnTransactionWork<T> {
+  (
+    client: pg.PoolClient
+  ): Promise<T> | T;
+}
+
+declare interface fnMapKey {
+  (
+    name: string
+  ): string;
+}
+
+declare interface fnMapRowKeys {
+  (
+    queryResult: pg.QueryResult
+  ): any[];
+}
+
+declare interface fnOnRetry {
+  (
+    err: Error,
+    attempt: number,
+    delayMillis: number
+  ): void;
+}
+
 declare interface fnValidateByIds {
   (
     req: express.Request,
@@ -98,31 +382,80 @@ declare interface fnValidateByIds {
 
 /* Classes */
 
-declare class DatabaseConnection {
+declare class DatabaseConnection extends events.EventEmitter {
   constructor(
     name: string,
     config: ConnectionConfig
   );
 
+  on(
+    eventName: QueryEventName,
+    listener: (event: QueryEvent) => void
+  ): this;
+
+  once(
+    eventName: QueryEventName,
+    listener: (event: QueryEvent) => void
+  ): this;
+
+  on(
+    eventName: ListenEventName,
+    listener: (event: ListenEvent) => void
+  ): this;
+
+  once(
+    eventName: ListenEventName,
+    listener: (event: ListenEvent) => void
+  ): this;
+
   static getConnection(
     name: string,
     mode?: string,
     configOverride?: ConnectionConfig
   ): DatabaseConnection;
   
-  private static __loadConnectionConfigFromFile(
+  static setConfigSearchDirs(
+    dirs: string[] | null
+  ): void;
+
+  private static __resolveConnectionConfig(
     name: string,
     mode: string
   ): ConnectionConfig;
 
+  private static __parseConnectionString(
+    connectionString: string
+  ): ConnectionDetails;
+
   configFromEnvSettings(
     envName: string
   ): void;
 
+  setLogger(
+    logger: Logger | null
+  ): void;
+
   private __startPool(
     name: string,
     connectionDetails: ConnectionDetails
   ): void;
+
+  getPoolStats(): PoolStats;
+
+  forTenant(
+    schema: string,
+    options?: {
+      extraSchemas?: string[]
+    }
+  ): DatabaseConnection;
+
+  close(
+    options?: CloseOptions
+  ): Promise<void>;
+
+  static closeAll(
+    options?: CloseOptions
+  ): Promise<void>;
   
   private __DI_simpleQuery(
     __pool: pgPool.Pool,
@@ -166,14 +499,15 @@ declare class DatabaseConnection {
       args: any[]
     ) => Promise<pg.QueryResult[]>,
     queryString: string,
-    args: any[],
+    args: any[] | object,
     client?: pg.PoolClient
   ): Promise<pg.QueryResult[]>;
 
   query(
     queryString: string,
-    args: any[],
-    client?: pg.PoolClient
+    args: any[] | object,
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<pg.QueryResult[]>;
 
   private __DI_getClient(
@@ -183,8 +517,13 @@ declare class DatabaseConnection {
 
   getClient(): Promise<pg.PoolClient>;
 
+  private __getRowKeyMapper(
+    options?: QueryOptions
+  ): fnMapRowKeys | null;
+
   turnQueryResultIntoRows(
-    queryResult: Promise<pg.QueryResult[]>
+    queryResult: Promise<pg.QueryResult[]>,
+    options?: QueryOptions
   ): any[];
 
   turnRowsIntoSingleResult(
@@ -195,28 +534,103 @@ declare class DatabaseConnection {
     __fnQuery: fnQuery,
     queryString: string,
     args: any[],
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<any[]>;
 
   queryReturningMany(
     queryString: string,
-    args: any[],
-    client?: pg.PoolClient
+    args: any[] | object,
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<any[]>;
 
   private __DI_queryReturningOne(
     __fnQuery: fnQuery,
     queryString: string,
     args: any[],
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<object>;
 
   queryReturningOne(
     queryString: string,
-    args: any[],
-    client?: pg.PoolClient
+    args: any[] | object,
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<object>;
 
+  private __DI_queryStream(
+    __pool: pgPool.Pool,
+    queryString: string,
+    args: any[] | object,
+    options?: QueryStreamOptions
+  ): AsyncIterableIterator<any>;
+
+  queryStream(
+    queryString: string,
+    args: any[] | object,
+    options?: QueryStreamOptions
+  ): AsyncIterableIterator<any>;
+
+  static MAX_QUERY_PARAMETERS: number;
+
+  private __mapRowToSqlNames(
+    row: object
+  ): object;
+
+  private __getColumnUnion(
+    sqlRows: object[]
+  ): string[];
+
+  private __buildReturningClause(
+    returning?: boolean | string | string[]
+  ): string;
+
+  private __buildMultiRowInsert(
+    table: string,
+    columns: string[],
+    sqlRows: object[]
+  ): SquelQuery;
+
+  private __chunkRowsForInsert(
+    rows: object[],
+    numColumns: number,
+    chunkSize?: number
+  ): object[][];
+
+  bulkInsert(
+    table: string,
+    rows: object[],
+    options?: BulkInsertOptions
+  ): Promise<any[]>;
+
+  upsert(
+    table: string,
+    row: object,
+    options: UpsertOptions
+  ): Promise<UpsertResult | null>;
+
+  upsert(
+    table: string,
+    rows: object[],
+    options: UpsertOptions
+  ): Promise<Array<UpsertResult | null>>;
+
+  static COPY_FORMATS: CopyFormat[];
+
+  copyFrom(
+    table: string,
+    columns: string[] | null,
+    readableStreamOrRows: stream.Readable | object[],
+    options?: CopyOptions
+  ): Promise<CopyResult>;
+
+  copyTo(
+    queryOrTable: string,
+    options?: CopyOptions
+  ): Promise<stream.Readable>;
+
   private __DI_squelQuery(
     __fnQuery: fnQuery,
     q: SquelQuery,
@@ -225,16 +639,23 @@ declare class DatabaseConnection {
 
   squelQuery(
     q: SquelQuery,
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<pg.QueryResult[]>;
 
   squelQueryReturningMany(
     q: SquelQuery,
-    client?: pg.PoolClient
+    client?: pg.PoolClient,
+    options?: QueryOptions
   ): Promise<any[]>;
 
   squelQueryReturningOne: fnSquelQueryReturningOne;
 
+  squelQueryStream(
+    q: SquelQuery,
+    options?: QueryStreamOptions
+  ): AsyncIterableIterator<any>;
+
   getDefaultSquelSelectOptions(): object;
 
   getSquel(): object; // Really should be a Squel object, but typings don't exist yet for Squel
@@ -247,6 +668,40 @@ declare class DatabaseConnection {
     squelObj?: object
   ): object;
 
+  newKeysetPaginator(
+    orderColumns: Array<string | KeysetOrderColumn>,
+    options?: KeysetPaginatorOptions
+  ): KeysetPaginator;
+
+  defineTable(
+    name: string,
+    options?: TableGatewayOptions
+  ): TableGateway;
+
+  introspect(
+    options?: IntrospectOptions
+  ): Promise<Introspection>;
+
+  getColumnMap(
+    table: string,
+    options?: IntrospectOptions
+  ): Promise<object>;
+
+  newMigrationRunner(
+    options: MigrationRunnerOptions
+  ): MigrationRunner;
+
+  listen(
+    channel: string,
+    handler: fnNotificationHandler
+  ): Promise<() => Promise<void>>;
+
+  notify(
+    channel: string,
+    payload?: any,
+    client?: pg.PoolClient
+  ): Promise<void>;
+
   runBasicService(
     config: RunBasicServiceConfig
   ): Promise<any[] | object>;
@@ -258,8 +713,15 @@ declare class DatabaseConnection {
     __fnConvertErrorCodes2Messages: (str: string) => string
   ): Promise<any[] | object>;
 
+  static ISOLATION_LEVELS: IsolationLevel[];
+
+  private __buildBeginStatement(
+    options: TransactionModeOptions
+  ): string;
+
   beginTransaction(
-    client: pg.PoolClient
+    client: pg.PoolClient,
+    options?: TransactionModeOptions
   ): Promise<void>;
 
   commitTransaction(
@@ -269,6 +731,146 @@ declare class DatabaseConnection {
   rollbackTransaction(
     client: pg.PoolClient
   ): Promise<void>;
+
+  private __DI_withTransaction<T>(
+    __pool: pgPool.Pool,
+    fn: fnTransactionWork<T>,
+    options?: WithTransactionOptions
+  ): Promise<T>;
+
+  withTransaction<T>(
+    fn: fnTransactionWork<T>,
+    options?: WithTransactionOptions
+  ): Promise<T>;
+
+  static RETRYABLE_TRANSACTION_ERROR_CODES: string[];
+
+  private __getRetryDelay(
+    attempt: number,
+    baseDelayMillis: number,
+    maxDelayMillis: number
+  ): number;
+
+  private __delay(
+    millis: number
+  ): Promise<void>;
+
+  private __DI_withRetryingTransaction<T>(
+    __fnWithTransaction: <T>(fn: fnTransactionWork<T>, options?: WithTransactionOptions) => Promise<T>,
+    __fnDelay: (millis: number) => Promise<void>,
+    fn: fnTransactionWork<T>,
+    options?: RetryingTransactionOptions
+  ): Promise<T>;
+
+  withRetryingTransaction<T>(
+    fn: fnTransactionWork<T>,
+    options?: RetryingTransactionOptions
+  ): Promise<T>;
+}
+
+declare class KeysetPaginator {
+  constructor(
+    dbc: DatabaseConnection,
+    orderColumns: Array<string | KeysetOrderColumn>,
+    options?: KeysetPaginatorOptions
+  );
+
+  private static __normalizeOrderColumn(
+    orderColumn: string | KeysetOrderColumn
+  ): KeysetOrderColumn;
+
+  private static __encodeCursor(
+    direction: string,
+    values: any[]
+  ): string;
+
+  private static __decodeCursor(
+    cursor: string
+  ): {
+    direction: string,
+    values: any[]
+  };
+
+  private __buildCondition(
+    direction: string,
+    values: any[]
+  ): SquelQuery;
+
+  private __getCursorValues(
+    row: object
+  ): any[];
+
+  paginate(
+    q: object,
+    cursor: string | null,
+    limit: number,
+    client?: pg.PoolClient
+  ): Promise<KeysetPage>;
+}
+
+declare class TableGateway {
+  constructor(
+    dbc: DatabaseConnection,
+    name: string,
+    options?: TableGatewayOptions
+  );
+
+  findById(
+    id: any,
+    client?: pg.PoolClient
+  ): Promise<any | null>;
+
+  findByIds(
+    ids: any[],
+    client?: pg.PoolClient
+  ): Promise<any[]>;
+
+  findWhere(
+    criteria: object,
+    client?: pg.PoolClient
+  ): Promise<any[]>;
+
+  count(
+    criteria?: object,
+    client?: pg.PoolClient
+  ): Promise<number>;
+
+  insert(
+    row: object,
+    client?: pg.PoolClient
+  ): Promise<any>;
+
+  update(
+    id: any,
+    patch: object,
+    client?: pg.PoolClient
+  ): Promise<any | null>;
+
+  delete(
+    id: any,
+    client?: pg.PoolClient
+  ): Promise<any | null>;
+}
+
+declare class MigrationRunner {
+  constructor(
+    dbc: DatabaseConnection,
+    options: MigrationRunnerOptions
+  );
+
+  static DEFAULT_TABLE_NAME: string;
+
+  status(): Promise<MigrationStatus[]>;
+
+  migrate(
+    options?: {
+      to?: string
+    }
+  ): Promise<MigrationInfo[]>;
+
+  rollback(
+    n?: number
+  ): Promise<MigrationInfo[]>;
 }
 
 declare namespace databaseUtil {
@@ -309,4 +911,128 @@ declare namespace databaseUtil {
     codeMap: object,
     errorCodes: string[]
   ): object;
+
+  function convertNamedParams(
+    queryString: string,
+    namedValues: object
+  ): SquelQuery & { names: string[] };
+
+  function quoteIdentifier(
+    name: string
+  ): string;
+
+  function newRowKeyMapper(
+    fnMapKey?: fnMapKey
+  ): fnMapRowKeys;
+}
+
+declare namespace typeGenerator {
+  function renderTypeDefinitions(
+    db: Introspection
+  ): string;
+
+  function generateTypeDefinitions(
+    dbc: DatabaseConnection,
+    options?: {
+      schemas?: string[]
+    }
+  ): Promise<string>;
+
+  function writeTypeDefinitions(
+    dbc: DatabaseConnection,
+    filename: string,
+    options?: {
+      schemas?: string[]
+    }
+  ): Promise<string>;
+}
+
+declare interface ConfigValidationResult {
+  valid: boolean,
+  errors: string[],
+  warnings: string[],
+  config: ConnectionConfig | null
+}
+
+declare namespace configValidator {
+  function validateConnectionConfig(
+    config: ConnectionConfig
+  ): ConfigValidationResult;
+
+  function assertValidConnectionConfig(
+    config: ConnectionConfig,
+    name: string
+  ): ConfigValidationResult;
+}
+
+declare namespace logging {
+  const LOG_LEVELS: LogLevel[];
+  const DEFAULT_REDACT_KEYS: RegExp[];
+  const consoleLogger: Logger;
+
+  function getLogLevel(
+    config: ConfigOptions
+  ): LogLevel;
+
+  function isLevelEnabled(
+    level: LogLevel,
+    minLevel: LogLevel
+  ): boolean;
+
+  function shouldSample(
+    sampleRate?: number
+  ): boolean;
+
+  function truncateValue(
+    value: any,
+    options?: LoggingOptions
+  ): any;
+
+  function redactArgs(
+    args: any[],
+    argNames: string[] | null,
+    options?: LoggingOptions
+  ): any[];
+}
+
+declare namespace errors {
+  class TransactionRetryError extends Error {
+    constructor(
+      message: string,
+      attempts: number,
+      lastError: Error
+    );
+
+    attempts: number;
+    lastError: Error;
+  }
+
+  class QueryTimeoutError extends Error {
+    constructor(
+      message: string,
+      timeoutMs: number,
+      originalError: Error
+    );
+
+    timeoutMs: number;
+    originalError: Error;
+  }
+
+  class QueryCancelledError extends Error {
+    constructor(
+      message: string,
+      originalError?: Error
+    );
+
+    originalError?: Error;
+  }
+
+  class ConfigValidationError extends Error {
+    constructor(
+      message: string,
+      validationErrors: string[]
+    );
+
+    validationErrors: string[];
+  }
 }
\ No newline at end of file